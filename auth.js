@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const { jwtSecret, moderatorUsernames } = require('./env');
+
+const BCRYPT_ROUNDS = 10;
+const TOKEN_TTL = '7d';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Without a configured secret, tokens are signed with a per-process key and
+// stop working whenever the server restarts.
+const secret = jwtSecret || crypto.randomBytes(32).toString('hex');
+if (!jwtSecret) {
+  console.warn('⚠️  JWT_SECRET is not set; using a temporary signing key (logins will not survive a restart)');
+}
+
+const toUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+});
+
+/**
+ * Check a username/password pair before registering.
+ * Returns an error message, or null if the credentials are acceptable.
+ */
+const validateCredentials = (username, password) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 letters, numbers, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Returns the new rider, or null if the username is already taken.
+const createUser = async (username, password) => {
+  const existing = await db.get('SELECT id FROM users WHERE username = ?', [username]);
+  if (existing) {
+    return null;
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  try {
+    const { lastID } = await db.run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, passwordHash, 'rider']
+    );
+    return { id: lastID, username, role: 'rider' };
+  } catch (error) {
+    // Someone registered the same name while the password was hashing
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Make the existing accounts named in `usernames` (lowercase; MODERATOR_USERNAMES
+ * by default) the moderators, and every other moderator a rider again; run at
+ * startup. Nobody becomes a moderator by registering, so register those
+ * accounts first, then restart the server. Returns { promoted, demoted } counts.
+ */
+const syncModerators = async (usernames = moderatorUsernames) => {
+  const listed = `lower(username) IN (${usernames.map(() => '?').join(', ')})`;
+  const promoted = usernames.length
+    ? (await db.run(`UPDATE users SET role = 'moderator' WHERE role != 'moderator' AND ${listed}`, usernames)).changes
+    : 0;
+  const demoted = (await db.run(
+    `UPDATE users SET role = 'rider' WHERE role = 'moderator'${usernames.length ? ` AND NOT ${listed}` : ''}`,
+    usernames
+  )).changes;
+  return { promoted, demoted };
+};
+
+// Returns the user if the password matches, otherwise null.
+const verifyCredentials = async (username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return null;
+  }
+
+  const row = await db.get('SELECT * FROM users WHERE username = ?', [username]);
+  if (!row || !(await bcrypt.compare(password, row.password_hash))) {
+    return null;
+  }
+
+  return toUser(row);
+};
+
+const issueToken = (user) => jwt.sign(
+  { sub: String(user.id), username: user.username, role: user.role },
+  secret,
+  { expiresIn: TOKEN_TTL }
+);
+
+// The account a request's token belongs to, as it is now: the role comes from
+// the database, not the token, so a demoted moderator loses the role right away.
+// null without a valid token or when the account is gone.
+const userFromRequest = async (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    return null;
+  }
+
+  const row = await db.get('SELECT id, username, role FROM users WHERE id = ?', [Number(payload.sub)]);
+  return row ? toUser(row) : null;
+};
+
+/**
+ * Express middleware: rejects the request with 401 unless it carries a valid
+ * "Authorization: Bearer <token>" header, and sets req.user otherwise.
+ */
+const requireAuth = async (req, res, next) => {
+  const user = await userFromRequest(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  req.user = user;
+  next();
+};
+
+// Express middleware for endpoints anyone can use but that do more for a
+// logged-in rider: sets req.user when the request carries a valid token
+// (null otherwise) and never rejects the request.
+const identify = async (req, res, next) => {
+  req.user = await userFromRequest(req);
+  next();
+};
+
+const isModerator = (user) => Boolean(user) && user.role === 'moderator';
+
+// Only a report's author or a moderator may remove it.
+const canDeleteReport = (user, report) =>
+  isModerator(user) || (Boolean(user) && report.userId === user.id);
+
+module.exports = {
+  validateCredentials,
+  createUser,
+  syncModerators,
+  verifyCredentials,
+  issueToken,
+  requireAuth,
+  identify,
+  isModerator,
+  canDeleteReport,
+};
@@ -0,0 +1,195 @@
+const db = require('./db');
+
+// Small TTL + LRU cache with optional write-through persistence.
+//
+// Keys are built with cacheKey(namespace, params) so that the same request
+// always maps to the same key regardless of property order, whitespace or
+// letter case, and so a whole namespace can be invalidated by prefix.
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+const normalizeValue = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  if (typeof value === 'number') {
+    return Math.round(value * 1e6) / 1e6;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, normalizeValue(value[key])])
+    );
+  }
+  return value;
+};
+
+const cacheKey = (namespace, params) => `${namespace}:${JSON.stringify(normalizeValue(params))}`;
+
+/**
+ * Persistent backing store in the cache_entries table. Only used to survive
+ * restarts; the in-memory LRU stays the first place every lookup goes.
+ */
+const createSqliteStore = () => ({
+  get: async (key) => {
+    const row = await db.get('SELECT value, expires_at FROM cache_entries WHERE key = ?', [key]);
+    return row ? { value: JSON.parse(row.value), expiresAt: row.expires_at } : null;
+  },
+  set: (key, value, expiresAt) => db.run(
+    'INSERT OR REPLACE INTO cache_entries (key, value, expires_at) VALUES (?, ?, ?)',
+    [key, JSON.stringify(value), expiresAt]
+  ),
+  delete: (prefix) => db.run("DELETE FROM cache_entries WHERE key LIKE ? ESCAPE '\\'", [
+    `${prefix.replace(/[\\%_]/g, match => `\\${match}`)}%`,
+  ]),
+  purgeExpired: (now) => db.run('DELETE FROM cache_entries WHERE expires_at <= ?', [now]),
+});
+
+/**
+ * Create a cache.
+ * options.maxEntries: in-memory entries kept before the least recently used is evicted.
+ * options.ttlMs: default time to live for set() and wrap().
+ * options.store: optional persistent store (see createSqliteStore).
+ */
+const createCache = ({ maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS, store = null } = {}) => {
+  // Map iteration order doubles as recency order: oldest entry first
+  const entries = new Map();
+  const pending = new Map();
+  const counts = { hits: 0, misses: 0, evictions: 0, sets: 0 };
+
+  const touch = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+  };
+
+  const remember = (key, value, expiresAt) => {
+    touch(key, { value, expiresAt });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counts.evictions++;
+    }
+  };
+
+  const get = async (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now) {
+      touch(key, entry);
+      counts.hits++;
+      return entry.value;
+    }
+    if (entry) {
+      entries.delete(key);
+    }
+
+    if (store) {
+      try {
+        const stored = await store.get(key);
+        if (stored && stored.expiresAt > now) {
+          remember(key, stored.value, stored.expiresAt);
+          counts.hits++;
+          return stored.value;
+        }
+      } catch (error) {
+        console.error('Cache store read failed:', error.message);
+      }
+    }
+
+    counts.misses++;
+    return undefined;
+  };
+
+  const set = (key, value, ttl = ttlMs) => {
+    const expiresAt = Date.now() + ttl;
+    remember(key, value, expiresAt);
+    counts.sets++;
+    if (store) {
+      Promise.resolve(store.set(key, value, expiresAt))
+        .catch(error => console.error('Cache store write failed:', error.message));
+    }
+  };
+
+  /**
+   * Return the cached value for key, or call load() and cache its result.
+   * Concurrent calls for the same key share one load().
+   * Results rejected by shouldCache (e.g. API errors) are returned but not stored.
+   */
+  const wrap = async (key, load, { ttl = ttlMs, shouldCache = () => true } = {}) => {
+    const cached = await get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const loading = (async () => {
+      try {
+        const value = await load();
+        if (shouldCache(value)) {
+          set(key, value, ttl);
+        }
+        return value;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, loading);
+    return loading;
+  };
+
+  // Drop every entry whose key starts with prefix ('' clears everything)
+  const invalidate = async (prefix = '') => {
+    let removed = 0;
+    [...entries.keys()].forEach((key) => {
+      if (key.startsWith(prefix)) {
+        entries.delete(key);
+        removed++;
+      }
+    });
+    if (store) {
+      await store.delete(prefix);
+    }
+    return removed;
+  };
+
+  const stats = () => {
+    const lookups = counts.hits + counts.misses;
+    return {
+      ...counts,
+      hitRate: lookups > 0 ? Math.round((counts.hits / lookups) * 1000) / 1000 : 0,
+      entries: entries.size,
+      maxEntries,
+      persistent: Boolean(store),
+    };
+  };
+
+  const purgeExpired = async (now = Date.now()) => {
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+    if (store) {
+      await store.purgeExpired(now);
+    }
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    invalidate,
+    stats,
+    purgeExpired,
+  };
+};
+
+module.exports = {
+  cacheKey,
+  createCache,
+  createSqliteStore,
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const { calculateDistance } = require('./geo');
+
+// Campus path network loaded from GeoJSON (e.g. an OpenStreetMap export run
+// through osmtogeojson). LineString/MultiLineString features become
+// bidirectional edges; named Point features become places that can be looked
+// up by name. A third coordinate, when present, is used as the elevation in
+// meters.
+
+const NODE_PRECISION = 6; // ~0.1 m; vertices closer than this are merged
+
+const nodeKey = (lat, lng) => `${lat.toFixed(NODE_PRECISION)},${lng.toFixed(NODE_PRECISION)}`;
+
+const isTraversable = (properties) =>
+  properties.access !== 'no' && properties.foot !== 'no' && properties.area !== 'yes';
+
+const buildGraph = (geojson) => {
+  const nodes = new Map(); // key -> { id, lat, lng, elevation }
+  const edges = [];        // { id, from, to, lengthM, properties }
+  const adjacency = new Map(); // node id -> [{ edge, to }]
+  const places = [];
+
+  const addNode = ([lng, lat, elevation]) => {
+    const key = nodeKey(lat, lng);
+    if (!nodes.has(key)) {
+      nodes.set(key, { id: key, lat, lng, elevation: elevation ?? null });
+      adjacency.set(key, []);
+    }
+    return nodes.get(key);
+  };
+
+  const addLine = (coordinates, properties) => {
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const from = addNode(coordinates[i]);
+      const to = addNode(coordinates[i + 1]);
+      if (from === to) continue;
+
+      const edge = {
+        id: edges.length,
+        from: from.id,
+        to: to.id,
+        lengthM: calculateDistance(from.lat, from.lng, to.lat, to.lng) * 1000,
+        properties,
+      };
+      edges.push(edge);
+      adjacency.get(from.id).push({ edge, to: to.id });
+      adjacency.get(to.id).push({ edge, to: from.id });
+    }
+  };
+
+  (geojson.features || []).forEach((feature) => {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    if (!geometry) return;
+
+    if (geometry.type === 'LineString' && isTraversable(properties)) {
+      addLine(geometry.coordinates, properties);
+    } else if (geometry.type === 'MultiLineString' && isTraversable(properties)) {
+      geometry.coordinates.forEach(line => addLine(line, properties));
+    } else if (geometry.type === 'Point' && properties.name) {
+      const [lng, lat] = geometry.coordinates;
+      places.push({ name: properties.name, lat, lng, properties });
+    }
+  });
+
+  return { nodes, edges, adjacency, places };
+};
+
+const loadGraph = (filename) => {
+  const geojson = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  return buildGraph(geojson);
+};
+
+// Closest graph node to a coordinate (linear scan; the campus graph is small)
+const nearestNode = (graph, lat, lng) => {
+  let best = null;
+  let bestDistance = Infinity;
+
+  graph.nodes.forEach((node) => {
+    const distance = calculateDistance(lat, lng, node.lat, node.lng);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = node;
+    }
+  });
+
+  return best ? { node: best, distanceKm: bestDistance } : null;
+};
+
+// Minimal binary min-heap keyed on `priority`
+const createPriorityQueue = () => {
+  const items = [];
+
+  const swap = (a, b) => {
+    [items[a], items[b]] = [items[b], items[a]];
+  };
+
+  const push = (value, priority) => {
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      swap(parent, i);
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        swap(smallest, i);
+        i = smallest;
+      }
+    }
+    return top.value;
+  };
+
+  return { push, pop, isEmpty: () => items.length === 0 };
+};
+
+/**
+ * A* search between two node ids.
+ * edgeCost(edge, fromId, toId) returns the cost of traversing an edge in
+ * meter-equivalents (never less than its length, which keeps the straight-line
+ * heuristic admissible) or Infinity to forbid it.
+ * Returns { nodeIds, edges, cost } or null when the nodes are not connected.
+ */
+const findPath = (graph, startId, goalId, edgeCost) => {
+  const goal = graph.nodes.get(goalId);
+  const heuristic = (id) => {
+    const node = graph.nodes.get(id);
+    return calculateDistance(node.lat, node.lng, goal.lat, goal.lng) * 1000;
+  };
+
+  const costs = new Map([[startId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const queue = createPriorityQueue();
+  queue.push(startId, heuristic(startId));
+
+  while (!queue.isEmpty()) {
+    const current = queue.pop();
+    if (current === goalId) break;
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    for (const { edge, to } of graph.adjacency.get(current)) {
+      if (visited.has(to)) continue;
+      const cost = edgeCost(edge, current, to);
+      if (!Number.isFinite(cost)) continue;
+
+      const candidate = costs.get(current) + cost;
+      if (candidate < (costs.has(to) ? costs.get(to) : Infinity)) {
+        costs.set(to, candidate);
+        previous.set(to, { from: current, edge });
+        queue.push(to, candidate + heuristic(to));
+      }
+    }
+  }
+
+  if (!costs.has(goalId)) {
+    return null;
+  }
+
+  const nodeIds = [goalId];
+  const pathEdges = [];
+  let cursor = goalId;
+  while (cursor !== startId) {
+    const step = previous.get(cursor);
+    pathEdges.unshift(step.edge);
+    nodeIds.unshift(step.from);
+    cursor = step.from;
+  }
+
+  return { nodeIds, edges: pathEdges, cost: costs.get(goalId) };
+};
+
+module.exports = {
+  buildGraph,
+  loadGraph,
+  nearestNode,
+  findPath,
+};
@@ -0,0 +1,131 @@
+const { reportWeight } = require('./decay');
+const { indexItems } = require('./spatialIndex');
+
+// Report confidence and clustering. A single report is one rider's word; other
+// riders can confirm or dispute it, and several reports of the same thing a
+// few meters apart are really one hazard. Only different riders back each
+// other up: a rider's reports in one cluster count once, at the best of their
+// confidences. Clusters are shaped like reports (type, lat, lng, rating,
+// congestion, timestamp) so route scoring can use them in place of raw
+// reports, with `confidence` (0-1) as their weight.
+
+const CLUSTER_RADIUS_M = 25;
+
+// A blocked/construction cluster must be at least this sure to block a route;
+// a lone, unconfirmed report (2/3) only counts as a risk
+const BLOCKED_CONFIDENCE_THRESHOLD = 0.75;
+
+const BLOCKING_TYPES = ['blocked', 'construction'];
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const isBlockingType = (type) => BLOCKING_TYPES.includes(type);
+
+/**
+ * Share of riders backing a report, 0-1. The author counts as one
+ * confirmation and both sides start from one imaginary vote, so an unvoted
+ * report is 2/3.
+ */
+const voteShare = (report) => {
+  const support = 1 + (report.confirmations || 0);
+  const against = report.disputes || 0;
+  return (support + 1) / (support + against + 2);
+};
+
+/**
+ * How much one report can be trusted right now, 0-1: its decayed weight times
+ * its vote share.
+ */
+const reportConfidence = (report, now = Date.now()) => reportWeight(report, now) * voteShare(report);
+
+// Who stands behind a report. Reports sent along with a route request
+// (fromClient) are all one anonymous reporter; a stored report without an
+// author (imported, or its user is gone) stands on its own.
+const reporterOf = (report) => {
+  if (report.fromClient) return 'client';
+  if (report.userId !== undefined && report.userId !== null) return `user:${report.userId}`;
+  return `report:${report.id}`;
+};
+
+// Weighted average of one numeric field over the reports that have it
+const weightedAverage = (members, field) => {
+  let total = 0;
+  let weight = 0;
+  members.forEach(({ report, confidence }) => {
+    if (!report[field]) return;
+    total += report[field] * confidence;
+    weight += confidence;
+  });
+  return weight > 0 ? Math.round(total / weight * 10) / 10 : null;
+};
+
+const toCluster = (members) => {
+  const totalConfidence = members.reduce((sum, member) => sum + member.confidence, 0);
+  const seed = members[0].report;
+  const bestByReporter = new Map();
+  members.forEach(({ report, confidence }) => {
+    const reporter = reporterOf(report);
+    bestByReporter.set(reporter, Math.max(bestByReporter.get(reporter) || 0, confidence));
+  });
+
+  return {
+    id: seed.id,
+    type: seed.type,
+    lat: members.reduce((sum, { report, confidence }) => sum + report.lat * confidence, 0) / totalConfidence,
+    lng: members.reduce((sum, { report, confidence }) => sum + report.lng * confidence, 0) / totalConfidence,
+    rating: weightedAverage(members, 'rating'),
+    congestion: weightedAverage(members, 'congestion'),
+    timestamp: members.map(({ report }) => report.timestamp).sort().pop(),
+    reportIds: members.map(({ report }) => report.id),
+    reportCount: members.length,
+    reporterCount: bestByReporter.size,
+    confirmations: members.reduce((sum, { report }) => sum + (report.confirmations || 0), 0),
+    disputes: members.reduce((sum, { report }) => sum + (report.disputes || 0), 0),
+    // Independent reporters back each other up: the cluster is wrong only if every one of them is
+    confidence: round3(1 - [...bestByReporter.values()].reduce((product, confidence) => product * (1 - confidence), 1)),
+  };
+};
+
+/**
+ * Group same-type reports within CLUSTER_RADIUS_M of each other into one
+ * aggregated hazard each. Expired reports are left out. Returns clusters,
+ * most confident first:
+ * { id, type, lat, lng, rating, congestion, timestamp, reportIds, reportCount,
+ *   reporterCount, confirmations, disputes, confidence }
+ * where id is the id of the most trusted report in the cluster.
+ */
+const clusterReports = (reports, now = Date.now()) => {
+  const live = (reports || [])
+    .map(report => ({ report, confidence: reportConfidence(report, now) }))
+    .filter(({ confidence }) => confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const byReport = new Map(live.map(member => [member.report, member]));
+  const index = indexItems(live.map(({ report }) => report));
+  const clustered = new Set();
+  const clusters = [];
+
+  // Seeds go most trusted first, so a cluster is centered on its best report
+  live.forEach((seed) => {
+    if (clustered.has(seed.report)) return;
+    const members = [seed, ...index.nearPoint(seed.report.lat, seed.report.lng, CLUSTER_RADIUS_M)
+      .filter(report => report !== seed.report && report.type === seed.report.type && !clustered.has(report))
+      .map(report => byReport.get(report))];
+    members.forEach(({ report }) => clustered.add(report));
+    clusters.push(toCluster(members));
+  });
+
+  return clusters.sort((a, b) => b.confidence - a.confidence);
+};
+
+// A blocked/construction cluster sure enough to close the way
+const isBlocking = (cluster) => isBlockingType(cluster.type) && cluster.confidence >= BLOCKED_CONFIDENCE_THRESHOLD;
+
+module.exports = {
+  BLOCKED_CONFIDENCE_THRESHOLD,
+  isBlockingType,
+  isBlocking,
+  voteShare,
+  reportConfidence,
+  clusterReports,
+};
@@ -0,0 +1,250 @@
+const reportStore = require('./reports');
+const { reportConfidence } = require('./clusters');
+const { expiryCutoff } = require('./decay');
+const { calculateDistance } = require('./geo');
+
+// Congestion over time. Campus crowds are periodic - the walkways fill up
+// around every class change - so besides the live congestion reports, past
+// reports are kept as a profile: how crowded each spot usually is on each
+// weekday at each time of day. Routes are then timed chunk by chunk with the
+// congestion expected when the rider actually gets there (see timeRoute).
+//
+// Congestion levels run from 1 (empty) to 5 (packed). Weekdays and times of
+// day are the server's local time, which should be the campus's.
+
+const CELL_DEG = 0.0005;           // profile cells are about 50 m across
+const SLOT_MINUTES = 15;           // and 15 minutes long
+const SLOTS_PER_DAY = 24 * 60 / SLOT_MINUTES;
+const HISTORY_DAYS = 120;          // a semester or so
+const FULL_WEIGHT_SAMPLES = 5;     // reports it takes for the profile to count as much as one fresh report
+const NEIGHBOR_CELL_WEIGHT = 0.25; // the cells around the spot
+const NEIGHBOR_SLOT_WEIGHT = 0.5;  // the slots just before and after
+const SAME_KIND_DAY_WEIGHT = 0.25; // other weekdays (or the other weekend day)
+const SEGMENT_M = 100;             // routes are timed in chunks this long
+const LIVE_RADIUS_M = 50;          // live reports slow the chunks this close to them
+const ARRIVE_BY_ITERATIONS = 4;
+
+// Time multiplier per level above empty:
+// 1 (empty) = 1.0x, 2 (light) = 1.25x, 3 (moderate) = 1.5x, 4 (busy) = 1.75x, 5 (packed) = 2.0x
+const CONGESTION_SLOWDOWN = 0.25;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// cell key -> Map of `${weekday}:${slot}` -> { excess, count }
+let profile = new Map();
+let sampleCount = 0;
+
+const cellOf = (lat, lng) => [Math.floor(lat / CELL_DEG), Math.floor(lng / CELL_DEG)];
+
+const slotOf = (time) => {
+  const date = new Date(time);
+  return { weekday: date.getDay(), slot: Math.floor((date.getHours() * 60 + date.getMinutes()) / SLOT_MINUTES) };
+};
+
+const isWeekend = (weekday) => weekday === 0 || weekday === 6;
+
+const levelMultiplier = (level) => 1 + (level - 1) * CONGESTION_SLOWDOWN;
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+/**
+ * Build a profile from congestion reports ({ lat, lng, congestion, timestamp }).
+ * Kept separate from loadHistory so it can be fed any set of reports.
+ */
+const buildProfile = (reports) => {
+  const table = new Map();
+  reports.forEach(({ lat, lng, congestion, timestamp }) => {
+    const time = Date.parse(timestamp);
+    if (!congestion || Number.isNaN(time)) return;
+
+    const cellKey = cellOf(lat, lng).join(':');
+    const { weekday, slot } = slotOf(time);
+    if (!table.has(cellKey)) table.set(cellKey, new Map());
+    const slots = table.get(cellKey);
+    const bucket = slots.get(`${weekday}:${slot}`) || { excess: 0, count: 0 };
+    bucket.excess += congestion - 1;
+    bucket.count += 1;
+    slots.set(`${weekday}:${slot}`, bucket);
+  });
+  return table;
+};
+
+/**
+ * (Re)build the profile from the last HISTORY_DAYS of reports. Reports that
+ * are still live are left out; they're counted as live reports instead.
+ * Returns the number of reports used.
+ */
+const loadHistory = async (now = Date.now()) => {
+  const since = new Date(now - HISTORY_DAYS * DAY_MS).toISOString();
+  const until = expiryCutoff('congestion', now) ?? new Date(now).toISOString();
+  const reports = await reportStore.listCongestionHistory(since, until);
+  profile = buildProfile(reports);
+  sampleCount = reports.length;
+  return sampleCount;
+};
+
+/**
+ * What past reports say about congestion at a spot at a given time (ms).
+ * The cells around it, the neighbouring time slots and the other days of the
+ * same kind (weekday or weekend) count too, for less. Returns { level, samples }
+ * where samples is the weighted number of reports behind it, or null when
+ * there's no history there.
+ */
+const expectedCongestion = (lat, lng, time) => {
+  const [row, col] = cellOf(lat, lng);
+  const { weekday, slot } = slotOf(time);
+  let excess = 0;
+  let weight = 0;
+
+  for (let dRow = -1; dRow <= 1; dRow++) {
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      const slots = profile.get(`${row + dRow}:${col + dCol}`);
+      if (!slots) continue;
+      const cellWeight = dRow === 0 && dCol === 0 ? 1 : NEIGHBOR_CELL_WEIGHT;
+
+      for (let dSlot = -1; dSlot <= 1; dSlot++) {
+        const s = (slot + dSlot + SLOTS_PER_DAY) % SLOTS_PER_DAY;
+        const slotWeight = dSlot === 0 ? 1 : NEIGHBOR_SLOT_WEIGHT;
+        for (let day = 0; day < 7; day++) {
+          const dayWeight = day === weekday ? 1 : isWeekend(day) === isWeekend(weekday) ? SAME_KIND_DAY_WEIGHT : 0;
+          const bucket = dayWeight > 0 && slots.get(`${day}:${s}`);
+          if (!bucket) continue;
+          excess += cellWeight * slotWeight * dayWeight * bucket.excess;
+          weight += cellWeight * slotWeight * dayWeight * bucket.count;
+        }
+      }
+    }
+  }
+
+  return weight > 0 ? { level: 1 + excess / weight, samples: weight } : null;
+};
+
+/**
+ * Congestion level expected at a spot at a given time (ms): live reports
+ * nearby, each by its confidence at that time (so they fade as the ride goes
+ * on), blended with the historical profile, which counts fully once it has
+ * FULL_WEIGHT_SAMPLES reports behind it. Like a lone live report, thin
+ * evidence only counts for part of its level.
+ */
+const congestionAt = (lat, lng, time, reports = []) => {
+  let excess = 0;
+  let weight = 0;
+
+  reports.forEach((report) => {
+    if (!report.congestion || calculateDistance(lat, lng, report.lat, report.lng) * 1000 > LIVE_RADIUS_M) return;
+    const confidence = reportConfidence(report, time);
+    excess += (report.congestion - 1) * confidence;
+    weight += confidence;
+  });
+
+  const expected = expectedCongestion(lat, lng, time);
+  if (expected) {
+    const historyWeight = Math.min(1, expected.samples / FULL_WEIGHT_SAMPLES);
+    excess += (expected.level - 1) * historyWeight;
+    weight += historyWeight;
+  }
+
+  return weight > 0 ? 1 + excess / Math.max(weight, 1) : 1;
+};
+
+// ============================================================================
+// ROUTE TIMING
+// ============================================================================
+
+// [lat, lng] polyline cut into chunks of about SEGMENT_M, as { startDistance, endDistance, lat, lng } (midpoint)
+const chunkRoute = (points) => {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + calculateDistance(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]) * 1000);
+  }
+  const total = cumulative[cumulative.length - 1] || 0;
+  if (total === 0) return { total, chunks: [] };
+
+  const count = Math.max(1, Math.ceil(total / SEGMENT_M));
+  let i = 0;
+  const pointAt = (distance) => {
+    while (i < points.length - 2 && cumulative[i + 1] < distance) i++;
+    const span = cumulative[i + 1] - cumulative[i];
+    const t = span > 0 ? (distance - cumulative[i]) / span : 0;
+    return [points[i][0] + (points[i + 1][0] - points[i][0]) * t, points[i][1] + (points[i + 1][1] - points[i][1]) * t];
+  };
+
+  const chunks = [];
+  for (let k = 0; k < count; k++) {
+    const [lat, lng] = pointAt((k + 0.5) * total / count);
+    chunks.push({ startDistance: k * total / count, endDistance: (k + 1) * total / count, lat, lng });
+  }
+  return { total, chunks };
+};
+
+/**
+ * Time a route through the congestion expected along it. points: [lat, lng]
+ * polyline. baseMinutes: travel time without congestion. options:
+ *   departAt - ms; the ride starts then (default: now)
+ *   arriveBy - ms; instead, find the departure that arrives by then
+ *   reports  - live congestion reports near the route
+ * Returns { departAt, arriveAt (ISO), travelTime (minutes), multiplier,
+ * segments } where segments are the congested chunks as
+ * [{ startDistance, endDistance, level, at }] (meters, ISO time the rider gets there).
+ */
+const timeRoute = (points, baseMinutes, { departAt, arriveBy, reports = [] } = {}) => {
+  const { total, chunks } = chunkRoute(points);
+
+  const ride = (start) => {
+    let clock = start;
+    const segments = [];
+    chunks.forEach((chunk) => {
+      const level = congestionAt(chunk.lat, chunk.lng, clock, reports);
+      if (level > 1) {
+        segments.push({
+          startDistance: Math.round(chunk.startDistance),
+          endDistance: Math.round(chunk.endDistance),
+          level: round1(level),
+          at: new Date(clock).toISOString(),
+        });
+      }
+      clock += baseMinutes * (chunk.endDistance - chunk.startDistance) / total * levelMultiplier(level) * MINUTE_MS;
+    });
+    if (chunks.length === 0) clock += baseMinutes * MINUTE_MS;
+    return { start, end: clock, segments };
+  };
+
+  let result;
+  if (arriveBy !== undefined && arriveBy !== null) {
+    // The congestion met depends on when the ride starts, so settle the departure by repeated tries
+    let start = arriveBy - baseMinutes * MINUTE_MS;
+    for (let i = 0; i < ARRIVE_BY_ITERATIONS; i++) {
+      result = ride(start);
+      start = arriveBy - (result.end - result.start);
+    }
+    result = ride(start);
+  } else {
+    result = ride(departAt ?? Date.now());
+  }
+
+  const travelTime = (result.end - result.start) / MINUTE_MS;
+  return {
+    departAt: new Date(result.start).toISOString(),
+    arriveAt: new Date(result.end).toISOString(),
+    travelTime,
+    multiplier: baseMinutes > 0 ? round3(travelTime / baseMinutes) : 1,
+    segments: result.segments,
+  };
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  buildProfile,
+  loadHistory,
+  profileSize: () => sampleCount,
+  expectedCongestion,
+  congestionAt,
+  levelMultiplier,
+  timeRoute,
+};
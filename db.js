@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { databasePath } = require('./env');
+
+// Schema migrations. Each entry runs exactly once, in order; the number of
+// applied migrations is tracked in SQLite's PRAGMA user_version. Never edit
+// an entry that has shipped - append a new one instead.
+const MIGRATIONS = [
+  `CREATE TABLE reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    rating INTEGER,
+    congestion INTEGER,
+    timestamp TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  CREATE INDEX idx_reports_type ON reports (type);`,
+
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'rider',
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  ALTER TABLE reports ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+  CREATE INDEX idx_reports_user_id ON reports (user_id);`,
+
+  `ALTER TABLE reports ADD COLUMN archived_at TEXT;
+  ALTER TABLE reports ADD COLUMN archive_reason TEXT;
+  CREATE INDEX idx_reports_archived_at ON reports (archived_at);`,
+
+  `CREATE TABLE cache_entries (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_cache_entries_expires_at ON cache_entries (expires_at);`,
+
+  `CREATE TABLE report_votes (
+    report_id INTEGER NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    vote TEXT NOT NULL CHECK (vote IN ('confirm', 'dispute')),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (report_id, user_id)
+  );`,
+
+  `CREATE TABLE zones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('dismount', 'no-entry', 'slow')),
+    geometry TEXT NOT NULL,
+    speed_limit_kmh REAL,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT
+  );`,
+
+  // Racks and other points of interest; seeded with the racks the map used to hard-code
+  `CREATE TABLE pois (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL CHECK (type IN ('bike-rack', 'skateboard-rack')),
+    name TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    capacity INTEGER,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT
+  );
+  CREATE INDEX idx_pois_type ON pois (type);
+  INSERT INTO pois (type, name, lat, lng) VALUES
+    ('bike-rack', 'Polo Garage', 30.6233487, -96.3372908),
+    ('bike-rack', 'Polo Road Rec Center', 30.6224814, -96.3377252),
+    ('bike-rack', 'Emerging Technologies North', 30.6230737, -96.3391709),
+    ('bike-rack', 'Emerging Technologies East', 30.6222002, -96.3384187),
+    ('bike-rack', 'Emerging Technologies West', 30.6225370, -96.3398458),
+    ('bike-rack', 'Zachery North', 30.6219686, -96.3403825),
+    ('bike-rack', 'Zachery East', 30.6212542, -96.3395487),
+    ('bike-rack', 'Zachery South', 30.6205917, -96.3404337),
+    ('bike-rack', 'Zachery West', 30.6212451, -96.3411214),
+    ('bike-rack', 'Wisenbaker', 30.6207432, -96.3384913),
+    ('bike-rack', 'Wisenbaker Bus Stop', 30.6210767, -96.3381562),
+    ('bike-rack', 'Bonfire Memorial', 30.6205642, -96.3358820),
+    ('bike-rack', 'CVE Lab North', 30.6202873, -96.3390841),
+    ('bike-rack', 'CVE Lab South', 30.6199232, -96.3393512),
+    ('bike-rack', 'CVE Lab West', 30.6201979, -96.3394699),
+    ('bike-rack', 'Dwight Look and CVE Lab', 30.6201979, -96.3394699),
+    ('bike-rack', 'Haynes Engineering', 30.6198919, -96.3389235),
+    ('bike-rack', 'Richardson Petroleum', 30.6194031, -96.3391009),
+    ('bike-rack', 'Jack E. Brown Chemical', 30.6206951, -96.3414634),
+    ('bike-rack', 'Lot 5', 30.6200591, -96.3418965),
+    ('bike-rack', 'Blocker South', 30.6190065, -96.3419611),
+    ('bike-rack', 'Blocker East', 30.6193766, -96.3414036),
+    ('bike-rack', 'Blocker West', 30.6196611, -96.3427806),
+    ('bike-rack', 'Mitchell', 30.6198769, -96.3429837),
+    ('bike-rack', 'Cain and Walker', 30.6194874, -96.3412201),
+    ('bike-rack', 'Cain, Walker, and MEOB', 30.6195801, -96.3407569),
+    ('bike-rack', 'MEOB, Doherty, and Berg-Hughes', 30.6192997, -96.3405005),
+    ('bike-rack', 'Berg-Hughes West', 30.6189929, -96.3411250),
+    ('bike-rack', 'Berg-Hughes and Reed-McDonald', 30.6185615, -96.3406087),
+    ('bike-rack', 'Reed-McDonald', 30.6180464, -96.3411045),
+    ('bike-rack', 'Northside Garage', 30.6185316, -96.3436364),
+    ('bike-rack', 'Sbisa East', 30.6169997, -96.3432327),
+    ('bike-rack', 'Sbisa West', 30.6168486, -96.3440211),
+    ('bike-rack', 'Neely and Hobby Hall', 30.6178640, -96.3442697),
+    ('bike-rack', 'Hotard Hall', 30.6183130, -96.3445608),
+    ('bike-rack', 'USPS', 30.6179538, -96.3450364),
+    ('bike-rack', 'Golf Clubhouse', 30.6167410, -96.3342299),
+    ('bike-rack', 'South Side Rec Center', 30.6161422, -96.3340138),
+    ('skateboard-rack', 'Polo Road Rec Center', 30.6228538, -96.3383479),
+    ('skateboard-rack', 'Student Services Building', 30.6139551, -96.3411009),
+    ('skateboard-rack', 'South Side Rec Center', 30.6160768, -96.3340057),
+    ('skateboard-rack', 'Student Rec Center', 30.6075568, -96.3429067);`,
+
+  // Each rider's saved places, favorite routes and the routes they asked for
+  `CREATE TABLE saved_places (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL COLLATE NOCASE,
+    kind TEXT NOT NULL CHECK (kind IN ('home', 'dorm', 'lab', 'class', 'work', 'other')),
+    location TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT,
+    UNIQUE (user_id, name)
+  );
+  CREATE TABLE favorite_routes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL COLLATE NOCASE,
+    start_location TEXT NOT NULL,
+    end_location TEXT NOT NULL,
+    options TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (user_id, name)
+  );
+  CREATE TABLE trip_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    start_location TEXT NOT NULL,
+    end_location TEXT NOT NULL,
+    options TEXT NOT NULL,
+    route_id TEXT,
+    recommended TEXT,
+    requested_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    chosen TEXT,
+    chosen_at TEXT
+  );
+  CREATE INDEX idx_trip_history_user_id ON trip_history (user_id, requested_at);`,
+];
+
+let db = null;
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function (error) {
+    if (error) return reject(error);
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+});
+
+const exec = (sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (error) => (error ? reject(error) : resolve()));
+});
+
+const migrate = async () => {
+  const { user_version: version } = await get('PRAGMA user_version');
+
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    await exec('BEGIN');
+    try {
+      await exec(MIGRATIONS[i]);
+      await exec(`PRAGMA user_version = ${i + 1}`);
+      await exec('COMMIT');
+    } catch (error) {
+      await exec('ROLLBACK');
+      throw new Error(`Migration ${i + 1} failed: ${error.message}`);
+    }
+  }
+
+  return MIGRATIONS.length - version;
+};
+
+/**
+ * Open the database (creating its directory if needed) and bring the schema
+ * up to date. Pass ':memory:' for a throwaway database.
+ */
+const init = async (filename = databasePath) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  db = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(filename, (error) => (error ? reject(error) : resolve(connection)));
+  });
+
+  await exec('PRAGMA foreign_keys = ON');
+  const applied = await migrate();
+
+  return { filename, applied, version: MIGRATIONS.length };
+};
+
+const close = () => new Promise((resolve, reject) => {
+  if (!db) return resolve();
+  db.close((error) => {
+    if (error) return reject(error);
+    db = null;
+    resolve();
+  });
+});
+
+module.exports = {
+  init,
+  close,
+  run,
+  get,
+  all,
+  exec,
+};
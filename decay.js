@@ -0,0 +1,87 @@
+const { reportDecay } = require('./env');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MINUTES = 60;
+const DAY_MINUTES = 24 * HOUR_MINUTES;
+
+/**
+ * How long each report type stays relevant, and how its weight fades.
+ *
+ * curve:
+ *   'step'        - full weight until the TTL, then nothing
+ *   'linear'      - fades from 1 to 0 over the TTL
+ *   'exponential' - halves every halfLifeMinutes, dropped at the TTL
+ * ttlMinutes: null means the report never expires on its own and stays until
+ * someone resolves it.
+ *
+ * Any of these can be overridden with the REPORT_DECAY environment variable,
+ * e.g. REPORT_DECAY='{"congestion":{"ttlMinutes":30}}'.
+ */
+const DEFAULT_DECAY = {
+  congestion: { curve: 'linear', ttlMinutes: HOUR_MINUTES },
+  smoothness: { curve: 'exponential', halfLifeMinutes: 30 * DAY_MINUTES, ttlMinutes: 180 * DAY_MINUTES },
+  blocked: { curve: 'step', ttlMinutes: DAY_MINUTES },
+  slick: { curve: 'linear', ttlMinutes: 12 * HOUR_MINUTES }, // spills get cleaned, leaves get swept
+  construction: { curve: 'step', ttlMinutes: null },
+};
+
+const FALLBACK_DECAY = { curve: 'step', ttlMinutes: 7 * DAY_MINUTES };
+
+const DECAY_CONFIG = Object.fromEntries(
+  [...new Set([...Object.keys(DEFAULT_DECAY), ...Object.keys(reportDecay)])].map(type => [
+    type,
+    { ...(DEFAULT_DECAY[type] || FALLBACK_DECAY), ...reportDecay[type] },
+  ])
+);
+
+const getDecayConfig = (type) => DECAY_CONFIG[type] || FALLBACK_DECAY;
+
+// Age of a report in minutes. Reports without a usable timestamp count as brand new.
+const reportAgeMinutes = (report, now = Date.now()) => {
+  const filedAt = Date.parse(report.timestamp);
+  if (Number.isNaN(filedAt)) {
+    return 0;
+  }
+  return Math.max(0, (now - filedAt) / MINUTE_MS);
+};
+
+const isExpired = (report, now = Date.now()) => {
+  const { ttlMinutes } = getDecayConfig(report.type);
+  return ttlMinutes !== null && reportAgeMinutes(report, now) >= ttlMinutes;
+};
+
+/**
+ * Current weight of a report between 0 (expired) and 1 (fresh).
+ */
+const reportWeight = (report, now = Date.now()) => {
+  if (isExpired(report, now)) {
+    return 0;
+  }
+
+  const config = getDecayConfig(report.type);
+  const age = reportAgeMinutes(report, now);
+
+  switch (config.curve) {
+    case 'linear':
+      return config.ttlMinutes ? 1 - age / config.ttlMinutes : 1;
+    case 'exponential':
+      return Math.pow(0.5, age / config.halfLifeMinutes);
+    default:
+      return 1;
+  }
+};
+
+// Oldest timestamp (ISO string) that is still live for a report type, or null if it never expires.
+const expiryCutoff = (type, now = Date.now()) => {
+  const { ttlMinutes } = getDecayConfig(type);
+  return ttlMinutes === null ? null : new Date(now - ttlMinutes * MINUTE_MS).toISOString();
+};
+
+module.exports = {
+  DECAY_CONFIG,
+  getDecayConfig,
+  reportAgeMinutes,
+  isExpired,
+  reportWeight,
+  expiryCutoff,
+};
@@ -0,0 +1,203 @@
+const { calculateDistance } = require('./geo');
+
+// Elevation profile along a whole route. The route is resampled at even
+// spacing, every sample gets an elevation from the routing provider, and each
+// pair of neighbouring samples becomes a graded segment.
+
+const SAMPLE_SPACING_M = 20;
+const MAX_SAMPLES = 128;          // well under the Elevation API's 512-location limit
+const STEEP_DOWNHILL_GRADE = -5;  // % grade where a skateboard starts to run away from you
+const MIN_STEEP_STRETCH_M = 15;   // ignore single noisy samples
+
+const DIFFICULTY_LEVELS = [
+  { maxClimb: 3, difficulty: 'flat', difficultyColor: '#2196F3' },      // Blue
+  { maxClimb: 8, difficulty: 'easy', difficultyColor: '#4CAF50' },      // Green
+  { maxClimb: 15, difficulty: 'moderate', difficultyColor: '#FF9800' }, // Orange
+  { maxClimb: 25, difficulty: 'hard', difficultyColor: '#FF5722' },     // Deep Orange
+  { maxClimb: Infinity, difficulty: 'very hard', difficultyColor: '#F44336' }, // Red
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const UNKNOWN_ELEVATION = {
+  difference: 0,
+  absDifference: 0,
+  direction: 'flat',
+  difficulty: 'unknown',
+  difficultyColor: '#999',
+  startElevation: 0,
+  endElevation: 0,
+  totalAscent: 0,
+  totalDescent: 0,
+  maxGrade: 0,
+  maxDownhillGrade: 0,
+  avgGrade: 0,
+  steepDownhills: [],
+  profile: [],
+  segments: [],
+};
+
+/**
+ * Resample [lat, lng] coordinates at even spacing along the path.
+ * Returns [{ lat, lng, distance }] with distance in meters from the start.
+ */
+const sampleRoute = (coordinates) => {
+  if (coordinates.length === 0) return [];
+
+  const cumulative = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lat1, lng1] = coordinates[i - 1];
+    const [lat2, lng2] = coordinates[i];
+    cumulative.push(cumulative[i - 1] + calculateDistance(lat1, lng1, lat2, lng2) * 1000);
+  }
+
+  const totalLength = cumulative[cumulative.length - 1];
+  if (totalLength === 0) {
+    return [{ lat: coordinates[0][0], lng: coordinates[0][1], distance: 0 }];
+  }
+
+  const count = Math.min(MAX_SAMPLES, Math.max(2, Math.ceil(totalLength / SAMPLE_SPACING_M) + 1));
+  const spacing = totalLength / (count - 1);
+  const samples = [];
+  let segment = 0;
+
+  for (let i = 0; i < count; i++) {
+    const target = Math.min(i * spacing, totalLength);
+    while (segment < coordinates.length - 2 && cumulative[segment + 1] < target) {
+      segment++;
+    }
+    const segmentLength = cumulative[segment + 1] - cumulative[segment];
+    const t = segmentLength > 0 ? (target - cumulative[segment]) / segmentLength : 0;
+    const [lat1, lng1] = coordinates[segment];
+    const [lat2, lng2] = coordinates[segment + 1];
+    samples.push({
+      lat: lat1 + (lat2 - lat1) * t,
+      lng: lng1 + (lng2 - lng1) * t,
+      distance: target,
+    });
+  }
+
+  return samples;
+};
+
+// Group consecutive steep downhill segments into stretches worth warning about
+const findSteepDownhills = (segments) => {
+  const stretches = [];
+  let current = null;
+
+  segments.forEach((segment) => {
+    if (segment.grade <= STEEP_DOWNHILL_GRADE) {
+      if (!current) {
+        current = { startDistance: segment.startDistance, start: segment.start, maxGrade: segment.grade };
+        stretches.push(current);
+      }
+      current.endDistance = segment.endDistance;
+      current.end = segment.end;
+      current.maxGrade = Math.min(current.maxGrade, segment.grade);
+    } else {
+      current = null;
+    }
+  });
+
+  return stretches
+    .map(stretch => ({ ...stretch, length: round1(stretch.endDistance - stretch.startDistance) }))
+    .filter(stretch => stretch.length >= MIN_STEEP_STRETCH_M);
+};
+
+/**
+ * Build the full elevation profile for a route.
+ * coordinates: decoded [lat, lng] route polyline.
+ * provider: routing provider used to look up elevations.
+ *
+ * Keeps the original start/end summary fields (difference, direction,
+ * difficulty...) and adds total ascent/descent, grade statistics, steep
+ * downhill stretches, the sampled profile and per-segment grades.
+ */
+const calculateElevationProfile = async (coordinates, provider) => {
+  try {
+    const samples = sampleRoute(coordinates);
+    if (samples.length < 2) {
+      return UNKNOWN_ELEVATION;
+    }
+
+    const elevations = await provider.elevation(samples.map(({ lat, lng }) => ({ lat, lng })));
+    if (elevations.length !== samples.length || elevations.some(value => value === null || value === undefined)) {
+      return UNKNOWN_ELEVATION;
+    }
+
+    const profile = samples.map((sample, i) => ({
+      distance: round1(sample.distance),
+      elevation: round1(elevations[i]),
+      lat: sample.lat,
+      lng: sample.lng,
+    }));
+
+    let totalAscent = 0;
+    let totalDescent = 0;
+    let gradeLength = 0;
+
+    const segments = [];
+    for (let i = 0; i < samples.length - 1; i++) {
+      const run = samples[i + 1].distance - samples[i].distance;
+      const rise = elevations[i + 1] - elevations[i];
+      if (run <= 0) continue;
+
+      if (rise > 0) totalAscent += rise;
+      else totalDescent -= rise;
+
+      const grade = (rise / run) * 100;
+      gradeLength += Math.abs(grade) * run;
+
+      segments.push({
+        startDistance: round1(samples[i].distance),
+        endDistance: round1(samples[i + 1].distance),
+        start: { lat: samples[i].lat, lng: samples[i].lng },
+        end: { lat: samples[i + 1].lat, lng: samples[i + 1].lng },
+        grade: round1(grade),
+      });
+    }
+
+    const totalLength = samples[samples.length - 1].distance;
+    const startElevation = elevations[0];
+    const endElevation = elevations[elevations.length - 1];
+    const difference = endElevation - startElevation;
+
+    let direction = 'flat';
+    if (difference > 1) {
+      direction = 'uphill';
+    } else if (difference < -1) {
+      direction = 'downhill';
+    }
+
+    // Difficulty follows the larger of the climbing and descending done, not just the net change
+    const climb = Math.max(totalAscent, totalDescent);
+    const { difficulty, difficultyColor } = DIFFICULTY_LEVELS.find(level => climb < level.maxClimb);
+
+    return {
+      difference: round1(difference),
+      absDifference: round1(Math.abs(difference)),
+      direction,
+      difficulty,
+      difficultyColor,
+      startElevation: round1(startElevation),
+      endElevation: round1(endElevation),
+      totalAscent: round1(totalAscent),
+      totalDescent: round1(totalDescent),
+      maxGrade: round1(Math.max(0, ...segments.map(s => s.grade))),
+      maxDownhillGrade: round1(Math.min(0, ...segments.map(s => s.grade))),
+      avgGrade: round1(totalLength > 0 ? gradeLength / totalLength : 0),
+      steepDownhills: findSteepDownhills(segments),
+      profile,
+      segments,
+    };
+  } catch (error) {
+    console.error('Error calculating elevation:', error.message);
+    return UNKNOWN_ELEVATION;
+  }
+};
+
+module.exports = {
+  STEEP_DOWNHILL_GRADE,
+  sampleRoute,
+  calculateElevationProfile,
+};
@@ -1,4 +1,47 @@
 require('dotenv').config();
+const path = require('path');
+
+// "south,west,north,east" in degrees; "none" turns the check off
+const parseBounds = (value) => {
+  if (value === 'none') return null;
+  const [south, west, north, east] = value.split(',').map(Number);
+  if (![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+    throw new Error(`CAMPUS_BOUNDS must be "south,west,north,east", got "${value}"`);
+  }
+  return { south, west, north, east };
+};
+
 module.exports = {
   googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY,
-};
\ No newline at end of file
+  // What the 'google' provider talks to: 'live' (default), 'record', 'replay' or 'synthetic'; see mapsClient.js
+  mapsClientMode: process.env.MAPS_CLIENT_MODE || 'live',
+  mapsFixturesDir: process.env.MAPS_FIXTURES_DIR || path.join(__dirname, 'test', 'fixtures', 'maps'),
+  // 'google' (default) or 'campus'; see routing.js
+  routingProvider: process.env.ROUTING_PROVIDER || 'google',
+  // GeoJSON path network used by the campus routing provider
+  campusGraphPath: process.env.CAMPUS_GRAPH_PATH || path.join(__dirname, 'data', 'campus-paths.geojson'),
+  // In-memory entries kept for Google Maps responses before LRU eviction
+  cacheMaxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 5000,
+  // 'sqlite' also writes cached responses to the database so they survive restarts
+  cachePersist: process.env.CACHE_PERSIST || 'memory',
+  jwtSecret: process.env.JWT_SECRET,
+  // Comma-separated usernames of existing accounts given the moderator role at startup
+  moderatorUsernames: (process.env.MODERATOR_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+  // JSON overrides for the per-type report decay settings in decay.js
+  reportDecay: JSON.parse(process.env.REPORT_DECAY || '{}'),
+  // Reports outside this box are turned away (see reportSchema.js); defaults to the Texas A&M campus
+  campusBounds: parseBounds(process.env.CAMPUS_BOUNDS || '30.58,-96.38,30.64,-96.31'),
+  // Requests each client may make per window (see rateLimit.js): reports and votes per 10 minutes, routes per minute
+  reportRateLimit: Number(process.env.REPORT_RATE_LIMIT) || 20,
+  routeRateLimit: Number(process.env.ROUTE_RATE_LIMIT) || 60,
+  // Reports each client may bulk-import per hour, one largest import file's worth by default
+  importRateLimit: Number(process.env.IMPORT_RATE_LIMIT) || 1000,
+  // Where current weather comes from: 'file' (default) reads weatherFile; see weather.js
+  weatherProvider: process.env.WEATHER_PROVIDER || 'file',
+  weatherFile: process.env.WEATHER_FILE || path.join(__dirname, 'data', 'weather.json'),
+  // Kept in a dot-directory so express.static never serves the database file
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, '.data', 'skate-scout.db'),
+};
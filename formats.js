@@ -0,0 +1,231 @@
+const { calculateDistance, decodePolyline } = require('./geo');
+const { validateReport } = require('./reportSchema');
+
+// GPX and GeoJSON conversion for routes and reports. Routes are the cleaned
+// route objects returned by POST /api/routes (polyline, metrics, elevation
+// profile, instructions); reports are the plain report objects from reports.js.
+
+const MAX_IMPORT_FEATURES = 1000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Elevation at each polyline vertex, interpolated from the sampled profile by distance along the route
+const vertexElevations = (points, profile) => {
+  if (!profile || profile.length < 2) {
+    return points.map(() => null);
+  }
+
+  let along = 0;
+  let sample = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      along += calculateDistance(points[i - 1][0], points[i - 1][1], point[0], point[1]) * 1000;
+    }
+    while (sample < profile.length - 2 && profile[sample + 1].distance < along) {
+      sample++;
+    }
+    const a = profile[sample];
+    const b = profile[sample + 1];
+    const t = b.distance > a.distance ? Math.max(0, Math.min(1, (along - a.distance) / (b.distance - a.distance))) : 0;
+    return round1(a.elevation + (b.elevation - a.elevation) * t);
+  });
+};
+
+// The numbers worth carrying along with an exported route
+const routeMetrics = (route) => ({
+  description: route.description,
+  distanceKm: route.distance,
+  travelTimeMin: route.travelTime,
+  walkingTimeMin: route.walkingTime,
+  numTurns: route.numTurns,
+  roughness: route.roughness,
+  smoothnessScore: route.smoothnessScore,
+  congestionMultiplier: route.congestionMultiplier,
+  departAt: route.departAt,
+  arriveAt: route.arriveAt,
+  blocked: route.blocked,
+  calories: route.calories,
+  totalAscentM: route.elevation ? route.elevation.totalAscent : null,
+  totalDescentM: route.elevation ? route.elevation.totalDescent : null,
+  maxGrade: route.elevation ? route.elevation.maxGrade : null,
+  maxDownhillGrade: route.elevation ? route.elevation.maxDownhillGrade : null,
+  parkingRack: route.lastMile ? route.lastMile.rack.name : null,
+  lastMileWalkM: route.lastMile ? route.lastMile.distance : null,
+  score: route.score,
+});
+
+/**
+ * A route as a GeoJSON FeatureCollection: one LineString with the metrics as
+ * properties (coordinates carry elevation when it's known), followed by one
+ * Point per turn-by-turn instruction.
+ * meta: { name, start, end, profile } describing the request.
+ */
+const routeToGeoJSON = (route, meta = {}) => {
+  const points = decodePolyline(route.polyline);
+  const elevations = vertexElevations(points, route.elevation && route.elevation.profile);
+
+  const line = {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(([lat, lng], i) => (elevations[i] === null ? [lng, lat] : [lng, lat, elevations[i]])),
+    },
+    properties: {
+      kind: 'route',
+      name: meta.name || route.description,
+      start: meta.start,
+      end: meta.end,
+      profile: meta.profile,
+      ...routeMetrics(route),
+    },
+  };
+
+  const steps = (route.instructions || []).map(step => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [step.start.lng, step.start.lat] },
+    properties: {
+      kind: 'instruction',
+      index: step.index,
+      text: step.text,
+      distanceM: step.distance,
+      cues: step.cues.map(cue => cue.message),
+    },
+  }));
+
+  return { type: 'FeatureCollection', features: [line, ...steps] };
+};
+
+/**
+ * A route as GPX 1.1: a <trk> with the full geometry (and elevation) for
+ * recording apps and watches, plus a <rte> of turn points with the
+ * instructions. Metrics go in the track's <extensions>.
+ */
+const routeToGpx = (route, meta = {}) => {
+  const points = decodePolyline(route.polyline);
+  const elevations = vertexElevations(points, route.elevation && route.elevation.profile);
+  const name = escapeXml(meta.name || route.description || 'Skate Scout route');
+  const metrics = routeMetrics(route);
+
+  const trackPoints = points.map(([lat, lng], i) =>
+    `      <trkpt lat="${lat}" lon="${lng}">${elevations[i] === null ? '' : `<ele>${elevations[i]}</ele>`}</trkpt>`
+  ).join('\n');
+
+  const routePoints = (route.instructions || []).map(step => [
+    `    <rtept lat="${step.start.lat}" lon="${step.start.lng}">`,
+    `      <name>${escapeXml(step.text)}</name>`,
+    step.cues.length ? `      <desc>${escapeXml(step.cues.map(cue => cue.message).join('; '))}</desc>` : null,
+    '    </rtept>',
+  ].filter(Boolean).join('\n')).join('\n');
+
+  const extensions = Object.entries(metrics)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `        <skate:${key}>${escapeXml(typeof value === 'number' ? round3(value) : value)}</skate:${key}>`)
+    .join('\n');
+
+  const description = [meta.start && `From ${meta.start}`, meta.end && `to ${meta.end}`, meta.profile && `by ${meta.profile}`]
+    .filter(Boolean).join(' ');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Skate Scout" xmlns="http://www.topografix.com/GPX/1/1" xmlns:skate="urn:skate-scout:metrics">',
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    description ? `    <desc>${escapeXml(description)}</desc>` : null,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    routePoints ? `  <rte>\n    <name>${name}</name>\n${routePoints}\n  </rte>` : null,
+    '  <trk>',
+    `    <name>${name}</name>`,
+    '    <extensions>',
+    '      <skate:metrics>',
+    extensions,
+    '      </skate:metrics>',
+    '    </extensions>',
+    '    <trkseg>',
+    trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].filter(line => line !== null).join('\n');
+};
+
+const reportsToGeoJSON = (reports) => ({
+  type: 'FeatureCollection',
+  features: reports.map(report => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [report.lng, report.lat] },
+    properties: {
+      id: report.id,
+      type: report.type,
+      rating: report.rating,
+      congestion: report.congestion,
+      timestamp: report.timestamp,
+      author: report.author,
+      confirmations: report.confirmations,
+      disputes: report.disputes,
+    },
+  })),
+});
+
+// One report from one GeoJSON feature (checked like any other, see reportSchema.js), or an error message
+const featureToReport = (feature) => {
+  if (!feature || feature.type !== 'Feature') {
+    return { error: 'not a Feature' };
+  }
+  const { geometry } = feature;
+  const properties = feature.properties || {}; // null is valid GeoJSON too
+  if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+    return { error: 'geometry must be a Point' };
+  }
+
+  const [lng, lat] = geometry.coordinates;
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return { error: 'coordinates must be [lng, lat] numbers' };
+  }
+
+  const { type, rating, congestion, timestamp } = properties;
+  return validateReport({ type, lat, lng, rating, congestion, timestamp });
+};
+
+/**
+ * Validate a GeoJSON FeatureCollection of report Points. All or nothing:
+ * returns { reports } when every feature is valid, otherwise { errors } with
+ * one message per bad feature.
+ */
+const parseReportCollection = (geojson) => {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return { errors: ['Expected a GeoJSON FeatureCollection'] };
+  }
+  if (geojson.features.length > MAX_IMPORT_FEATURES) {
+    return { errors: [`At most ${MAX_IMPORT_FEATURES} features can be imported at once`] };
+  }
+
+  const reports = [];
+  const errors = [];
+  geojson.features.forEach((feature, i) => {
+    const { report, error } = featureToReport(feature);
+    if (error) {
+      errors.push(`Feature ${i}: ${error}`);
+    } else {
+      reports.push(report);
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { reports };
+};
+
+module.exports = {
+  routeToGeoJSON,
+  routeToGpx,
+  reportsToGeoJSON,
+  parseReportCollection,
+};
@@ -0,0 +1,201 @@
+// Geometry helpers shared by the route metrics and the routing providers.
+// Points are [lat, lng] pairs (as produced by decodePolyline) unless noted.
+
+function decodePolyline(encoded) {
+  if (!encoded) return [];
+  
+  let points = [];
+  let index = 0, len = encoded.length;
+  let lat = 0, lng = 0;
+  
+  while (index < len) {
+    let b, shift = 0, result = 0;
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    let dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lat += dlat;
+    
+    shift = 0;
+    result = 0;
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    let dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lng += dlng;
+    
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  
+  return points;
+}
+
+function isPointNearPolyline(point, polylinePoints, thresholdKm) {
+  for (let i = 0; i < polylinePoints.length - 1; i++) {
+    const [lat1, lng1] = polylinePoints[i];
+    const [lat2, lng2] = polylinePoints[i + 1];
+    
+    const distance = distanceToSegment(
+      point.lat, point.lng,
+      lat1, lng1,
+      lat2, lng2
+    );
+    
+    if (distance < thresholdKm) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const EARTH_RADIUS_M = 6371000;
+const METERS_PER_DEGREE = EARTH_RADIUS_M * Math.PI / 180;
+
+// Equirectangular projection to meters around a reference latitude.
+// Accurate to well under a meter across a campus-sized area.
+function projectToMeters(lat, lng, refLat) {
+  return {
+    x: lng * METERS_PER_DEGREE * Math.cos(refLat * Math.PI / 180),
+    y: lat * METERS_PER_DEGREE,
+  };
+}
+
+// Planar distance from point (px, py) to segment (x1, y1)-(x2, y2), all in meters
+function pointToSegmentMeters(px, py, x1, y1, x2, y2) {
+  const C = x2 - x1;
+  const D = y2 - y1;
+  const lenSq = C * C + D * D;
+  const param = lenSq !== 0
+    ? Math.max(0, Math.min(1, ((px - x1) * C + (py - y1) * D) / lenSq))
+    : 0;
+  
+  const dx = px - (x1 + param * C);
+  const dy = py - (y1 + param * D);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Distance in km from point (px = lat, py = lng) to the segment between two
+// lat/lng points. Projected to meters first so that longitude degrees, which
+// are shorter than latitude degrees away from the equator, aren't overweighted.
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+  const p = projectToMeters(px, py, px);
+  const a = projectToMeters(x1, y1, px);
+  const b = projectToMeters(x2, y2, px);
+  
+  return pointToSegmentMeters(p.x, p.y, a.x, a.y, b.x, b.y) / 1000;
+}
+
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng/2) * Math.sin(dLng/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : (value << 1);
+  let output = '';
+  while (v >= 0x20) {
+    output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return output + String.fromCharCode(v + 63);
+}
+
+// Inverse of decodePolyline: encodes [lat, lng] pairs as a Google polyline string
+function encodePolyline(points) {
+  let lastLat = 0, lastLng = 0;
+  let encoded = '';
+  
+  points.forEach(([lat, lng]) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    encoded += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+    lastLat = latE5;
+    lastLng = lngE5;
+  });
+  
+  return encoded;
+}
+
+// Initial compass bearing in degrees (0 = north, clockwise) from one point to another
+function calculateBearing(lat1, lng1, lat2, lng2) {
+  const toRad = Math.PI / 180;
+  const dLng = (lng2 - lng1) * toRad;
+  const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+  const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+            Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+  return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/**
+ * Where a point sits relative to a [lat, lng] polyline: its distance from the
+ * line and how far along the line its closest point is, both in meters.
+ * Returns { distanceM, alongM, segmentIndex }.
+ */
+function locateOnPolyline(lat, lng, points) {
+  if (points.length === 1) {
+    return { distanceM: calculateDistance(lat, lng, points[0][0], points[0][1]) * 1000, alongM: 0, segmentIndex: 0 };
+  }
+  
+  const p = projectToMeters(lat, lng, lat);
+  const projected = points.map(([pointLat, pointLng]) => projectToMeters(pointLat, pointLng, lat));
+  let best = { distanceM: Infinity, alongM: 0, segmentIndex: 0 };
+  let offset = 0;
+  
+  for (let i = 0; i < projected.length - 1; i++) {
+    const a = projected[i];
+    const b = projected[i + 1];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const t = length > 0
+      ? Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / (length * length)))
+      : 0;
+    const distanceM = Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+    
+    if (distanceM < best.distanceM) {
+      best = { distanceM, alongM: offset + t * length, segmentIndex: i };
+    }
+    offset += length;
+  }
+  
+  return best;
+}
+
+// Ray casting test for a point against a polygon ring of [lat, lng] pairs
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside every hole; rings are [lat, lng] pairs
+function pointInPolygon(lat, lng, rings) {
+  return pointInRing(lat, lng, rings[0]) && !rings.slice(1).some(hole => pointInRing(lat, lng, hole));
+}
+
+module.exports = {
+  decodePolyline,
+  encodePolyline,
+  isPointNearPolyline,
+  distanceToSegment,
+  calculateDistance,
+  calculateBearing,
+  projectToMeters,
+  pointToSegmentMeters,
+  locateOnPolyline,
+  pointInPolygon,
+};
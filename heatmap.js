@@ -0,0 +1,175 @@
+const { reportConfidence, voteShare } = require('./clusters');
+const { reportAgeMinutes } = require('./decay');
+const { projectToMeters } = require('./geo');
+const { campusBounds } = require('./env');
+const { REPORT_TYPES } = require('./reportSchema');
+
+// Report heatmaps: reports binned into square or hexagonal cells, so riders
+// can see which parts of campus are rough, crowded or hazardous at a glance.
+// Each cell carries decay-weighted averages of the reports in it:
+//   - live reports (the default) count by their confidence right now, as they
+//     do for routing (see clusters.js);
+//   - over a time window (`hours`), archived reports count too and each one's
+//     weight fades linearly across the window, so last week still shows, fainter.
+// Cells are laid out on a fixed grid in meters, so they don't shift between requests.
+
+const SHAPES = ['grid', 'hex'];
+const DEFAULT_CELL_M = 50;
+const MIN_CELL_M = 10;
+const MAX_CELL_M = 500;
+const MAX_WINDOW_HOURS = 120 * 24;
+const LEVEL_TYPES = { smoothness: 'rating', congestion: 'congestion' };
+
+const REF_LAT = campusBounds ? (campusBounds.south + campusBounds.north) / 2 : 30.615;
+const METERS_PER_DEGREE = projectToMeters(1, 1, REF_LAT); // { x: per degree of lng, y: per degree of lat }
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+// Meters on the fixed grid back to [lat, lng]
+const toLatLng = (x, y) => [round6(y / METERS_PER_DEGREE.y), round6(x / METERS_PER_DEGREE.x)];
+
+/**
+ * Check heatmap query parameters: types (comma-separated), hours, cell (m)
+ * and shape. Returns { options: { types, hours, cellM, shape } } or { error }.
+ */
+const parseHeatmapQuery = ({ types, hours, cell, shape = 'hex' } = {}) => {
+  const typeList = types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknown = typeList.find(type => !REPORT_TYPES.includes(type));
+  if (unknown) {
+    return { error: `Unknown report type: ${unknown}; expected some of ${REPORT_TYPES.join(', ')}` };
+  }
+  if (!SHAPES.includes(shape)) {
+    return { error: `shape must be one of ${SHAPES.join(', ')}` };
+  }
+  const cellM = cell === undefined ? DEFAULT_CELL_M : Number(cell);
+  if (!Number.isFinite(cellM) || cellM < MIN_CELL_M || cellM > MAX_CELL_M) {
+    return { error: `cell must be between ${MIN_CELL_M} and ${MAX_CELL_M} meters` };
+  }
+  const windowHours = hours === undefined ? null : Number(hours);
+  if (windowHours !== null && !(windowHours > 0 && windowHours <= MAX_WINDOW_HOURS)) {
+    return { error: `hours must be more than 0 and at most ${MAX_WINDOW_HOURS}` };
+  }
+  return { options: { types: typeList, hours: windowHours, cellM, shape } };
+};
+
+// ============================================================================
+// CELLS
+// ============================================================================
+
+const squareCell = (x, y, cellM) => {
+  const i = Math.floor(x / cellM);
+  const j = Math.floor(y / cellM);
+  const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1], [i, j]]
+    .map(([ci, cj]) => toLatLng(ci * cellM, cj * cellM));
+  return { id: `g${i}:${j}`, corners };
+};
+
+// Pointy-top hexagons cellM across (flat side to flat side), in axial coordinates
+const hexCell = (x, y, cellM) => {
+  const size = cellM / Math.sqrt(3);
+  const q = (Math.sqrt(3) / 3 * x - y / 3) / size;
+  const r = (2 / 3 * y) / size;
+
+  // Round to the nearest hexagon in cube coordinates
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(-q - r);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs + q + r);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+
+  const cx = size * Math.sqrt(3) * (rq + rr / 2);
+  const cy = size * 1.5 * rr;
+  const corners = [0, 1, 2, 3, 4, 5, 0].map((k) => {
+    const angle = Math.PI / 180 * (60 * k - 30);
+    return toLatLng(cx + size * Math.cos(angle), cy + size * Math.sin(angle));
+  });
+  return { id: `h${rq}:${rr}`, corners };
+};
+
+/**
+ * How much a cell stands out, 0-1, from its strongest type: how rough
+ * (smoothness), how crowded (congestion), or how surely there's a hazard
+ * (the other types, by their total weight).
+ */
+const cellIntensity = (cell) => Object.entries(cell.types).reduce((max, [type, { weight }]) => {
+  let value;
+  if (type === 'smoothness') {
+    value = cell.rating === null ? 0 : (5 - cell.rating) / 4;
+  } else if (type === 'congestion') {
+    value = cell.congestion === null ? 0 : (cell.congestion - 1) / 4;
+  } else {
+    value = Math.min(1, weight);
+  }
+  return Math.max(max, value);
+}, 0);
+
+/**
+ * Bin reports into cells as a GeoJSON FeatureCollection of Polygons, one per
+ * cell with any weight. Feature properties: { id, count, weight, intensity,
+ * rating, congestion (decay-weighted averages, null without reports of that
+ * type), types: { [type]: { count, weight } }, latest (ISO) }.
+ * options: { cellM, shape, hours (null: live reports), now }.
+ */
+const buildHeatmap = (reports, { cellM = DEFAULT_CELL_M, shape = 'hex', hours = null, now = Date.now() } = {}) => {
+  const cellOf = shape === 'grid' ? squareCell : hexCell;
+  const cells = new Map();
+
+  reports.forEach((report) => {
+    const weight = hours === null
+      ? reportConfidence(report, now)
+      : voteShare(report) * Math.max(0, 1 - reportAgeMinutes(report, now) / (hours * 60));
+    if (weight <= 0) return;
+
+    const { x, y } = projectToMeters(report.lat, report.lng, REF_LAT);
+    const { id, corners } = cellOf(x, y, cellM);
+    if (!cells.has(id)) {
+      cells.set(id, { id, corners, count: 0, weight: 0, types: {}, levels: {}, latest: null });
+    }
+    const cell = cells.get(id);
+    cell.count += 1;
+    cell.weight += weight;
+    const type = cell.types[report.type] || { count: 0, weight: 0 };
+    cell.types[report.type] = { count: type.count + 1, weight: type.weight + weight };
+    const field = LEVEL_TYPES[report.type];
+    if (field && report[field]) {
+      const level = cell.levels[field] || { total: 0, weight: 0 };
+      cell.levels[field] = { total: level.total + report[field] * weight, weight: level.weight + weight };
+    }
+    if (!cell.latest || report.timestamp > cell.latest) cell.latest = report.timestamp;
+  });
+
+  const features = [...cells.values()].map((cell) => {
+    const average = field => (cell.levels[field] ? round1(cell.levels[field].total / cell.levels[field].weight) : null);
+    const properties = {
+      id: cell.id,
+      count: cell.count,
+      weight: round3(cell.weight),
+      rating: average('rating'),
+      congestion: average('congestion'),
+      types: Object.fromEntries(Object.entries(cell.types).map(([type, { count, weight }]) => [type, { count, weight: round3(weight) }])),
+      latest: cell.latest,
+    };
+    return {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [cell.corners.map(([lat, lng]) => [lng, lat])] },
+      properties: { ...properties, intensity: round3(cellIntensity({ ...properties, types: cell.types })) },
+    };
+  });
+
+  return { type: 'FeatureCollection', features };
+};
+
+module.exports = {
+  SHAPES,
+  DEFAULT_CELL_M,
+  parseHeatmapQuery,
+  buildHeatmap,
+};
@@ -0,0 +1,106 @@
+const db = require('./db');
+
+// Trip history: the routes a logged-in rider asked for and the one they rode.
+// Every start-to-end route goes in, whether asked for on its own, as a leg of
+// a multi-stop trip or as a passing period of a planned schedule.
+// An entry is
+//   { id, start, end, options, routeId, requestedAt, recommended, chosen, chosenAt }
+// where recommended and chosen are { route, ...metrics } (see routeMetrics):
+// recommended is logged with the request, chosen when the rider picks one of
+// its routes to ride (null until then). routeId is the /api/routes result the
+// entry came from. Each rider keeps their latest MAX_ENTRIES entries.
+
+const MAX_ENTRIES = 200;
+const DEFAULT_LIST_LIMIT = 50;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * What's worth remembering about a route once its result has expired:
+ * route is its category (e.g. recommendedPath) or candidate index.
+ */
+const routeMetrics = (route, key) => ({
+  route: key,
+  description: route.description || null,
+  distance: route.distance,
+  travelTime: round1(route.travelTime),
+  smoothnessScore: route.smoothnessScore,
+  numTurns: route.numTurns,
+  calories: route.calories,
+  ascent: route.elevation ? route.elevation.totalAscent : null,
+  blocked: Boolean(route.blocked),
+});
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+const toEntry = (row) => ({
+  id: row.id,
+  start: row.start_location,
+  end: row.end_location,
+  options: JSON.parse(row.options),
+  routeId: row.route_id,
+  requestedAt: row.requested_at,
+  recommended: parseJson(row.recommended),
+  chosen: parseJson(row.chosen),
+  chosenAt: row.chosen_at,
+});
+
+// Newest first
+const listHistory = async (userId, limit = DEFAULT_LIST_LIMIT) => {
+  const rows = await db.all(
+    'SELECT * FROM trip_history WHERE user_id = ? ORDER BY requested_at DESC, id DESC LIMIT ?',
+    [userId, Math.min(limit, MAX_ENTRIES)]
+  );
+  return rows.map(toEntry);
+};
+
+const getEntry = async (id, userId) => {
+  const row = await db.get('SELECT * FROM trip_history WHERE id = ? AND user_id = ?', [id, userId]);
+  return row ? toEntry(row) : null;
+};
+
+/**
+ * Log a route request: { start, end, options (see places.pickRouteOptions),
+ * routeId, recommended (routeMetrics) }. Drops the rider's oldest entries
+ * beyond MAX_ENTRIES. Returns the new entry.
+ */
+const logRequest = async ({ start, end, options, routeId, recommended }, userId) => {
+  const { lastID } = await db.run(
+    `INSERT INTO trip_history (user_id, start_location, end_location, options, route_id, recommended)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, start, end, JSON.stringify(options), routeId, JSON.stringify(recommended)]
+  );
+  await db.run(
+    `DELETE FROM trip_history WHERE user_id = ? AND id NOT IN (
+       SELECT id FROM trip_history WHERE user_id = ? ORDER BY requested_at DESC, id DESC LIMIT ?
+     )`,
+    [userId, userId, MAX_ENTRIES]
+  );
+  return getEntry(lastID, userId);
+};
+
+// chosen: routeMetrics of the picked route. Returns the updated entry, or null if the rider has no such entry.
+const logChoice = async (id, chosen, userId) => {
+  const { changes } = await db.run(
+    `UPDATE trip_history SET chosen = ?, chosen_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     WHERE id = ? AND user_id = ?`,
+    [JSON.stringify(chosen), id, userId]
+  );
+  return changes > 0 ? getEntry(id, userId) : null;
+};
+
+// Returns how many entries were deleted
+const clearHistory = async (userId) => {
+  const { changes } = await db.run('DELETE FROM trip_history WHERE user_id = ?', [userId]);
+  return changes;
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  routeMetrics,
+  listHistory,
+  getEntry,
+  logRequest,
+  logChoice,
+  clearHistory,
+};
@@ -0,0 +1,189 @@
+const { isBlocking } = require('./clusters');
+const { decodePolyline, encodePolyline, locateOnPolyline } = require('./geo');
+const { measureZones } = require('./zones');
+const { slickSurfaceOf } = require('./weather');
+
+// Turn-by-turn directions. Every step of every leg becomes one instruction
+// with plain-text wording and skate-specific cues: dismount zones, steep
+// downhills, reported rough patches and construction near a turn, and slick
+// surfaces and spots when the weather makes them matter.
+
+const ROUGH_RATING = 2;          // smoothness ratings at or below this are rough patches
+const ROUGH_SURFACE = 6;         // surface roughness (0-10) worth a warning on its own
+const TURN_RADIUS_M = 30;        // hazards this close to a step's start are "near this turn"
+const AHEAD_THRESHOLD_M = 10;    // closer than this is "here" rather than "in N m"
+
+const roundDistance = (meters) => Math.max(10, Math.round(meters / 10) * 10);
+
+const ahead = (meters) => (meters < AHEAD_THRESHOLD_M ? '' : ` in ${roundDistance(meters)} m`);
+
+// Google's html_instructions as plain text; extra notes come wrapped in <div>s
+const stripHtml = (html) => String(html || '')
+  .replace(/<div[^>]*>/gi, '. ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .replace(/\s+\./g, '.')
+  .trim();
+
+const HAZARD_LABELS = {
+  construction: 'Construction report',
+  blocked: 'Blocked path report',
+};
+
+/**
+ * Flatten a route's steps into instructions. Each one looks like
+ * { index, leg, text, maneuver, distance, time, startDistance, endDistance,
+ *   start, end, polyline, surface, dismount, cues: [{ type, severity, message, distance }] }
+ * where distances are meters (cue distance is measured from the step's start)
+ * and time is minutes.
+ *
+ * context.elevation: the route's elevation profile (for steep downhills).
+ * context.hazards: clustered reports along the route (see clusters.js).
+ * context.roughnessSegments: per-step roughness from calculateRouteRoughness.
+ * context.travelTime: total route time in minutes, shared out by distance.
+ * context.zones: campus zones (see zones.js); steps mostly inside a dismount zone become dismount steps.
+ * context.conditions: the weather (see weather.js); slick surfaces get a cue when it's not dry.
+ */
+const buildInstructions = (route, { elevation, hazards = [], roughnessSegments = [], travelTime, zones = [], conditions } = {}) => {
+  const steps = [];
+  const dismountZones = zones.filter(zone => zone.kind === 'dismount');
+  let offset = 0;
+
+  route.legs.forEach((leg, legIndex) => {
+    leg.steps.forEach((step) => {
+      const points = step.polyline && step.polyline.points
+        ? decodePolyline(step.polyline.points)
+        : [[step.start_location.lat, step.start_location.lng], [step.end_location.lat, step.end_location.lng]];
+      const distance = step.distance.value;
+      const inDismountZone = measureZones(points, dismountZones).reduce((sum, { meters }) => sum + meters, 0);
+      const slickSurface = conditions && conditions.slickSurfacePenalty > 0 ? slickSurfaceOf(step) : null;
+
+      steps.push({
+        index: steps.length,
+        leg: legIndex,
+        text: stripHtml(step.html_instructions),
+        maneuver: step.maneuver || null,
+        distance,
+        time: 0,
+        startDistance: offset,
+        endDistance: offset + distance,
+        start: step.start_location,
+        end: step.end_location,
+        polyline: step.polyline && step.polyline.points ? step.polyline.points : encodePolyline(points),
+        surface: step.surface || null,
+        dismount: Boolean(step.dismount) || (distance > 0 && inDismountZone >= distance / 2),
+        // Brick, pavers and painted crossings when it isn't dry
+        cues: slickSurface
+          ? [{
+              type: 'slick-surface',
+              severity: 'warning',
+              message: `Slick when ${conditions.label.toLowerCase()}: ${slickSurface}`,
+              distance: 0,
+            }]
+          : [],
+        points,
+      });
+      offset += distance;
+    });
+  });
+
+  if (travelTime && offset > 0) {
+    steps.forEach((step) => {
+      step.time = Math.round((travelTime * step.distance / offset) * 10) / 10;
+    });
+  }
+
+  // Dismount zones: warn on the way in, then say so on the walking stretch itself
+  steps.forEach((step, i) => {
+    if (!step.dismount) return;
+    step.cues.push({ type: 'dismount', severity: 'warning', message: 'Dismount zone: walk your board here', distance: 0 });
+    const previous = steps[i - 1];
+    if (previous && !previous.dismount) {
+      previous.cues.push({
+        type: 'dismount',
+        severity: 'warning',
+        message: `Dismount zone ahead${ahead(previous.distance)}`,
+        distance: previous.distance,
+      });
+    }
+  });
+
+  // Steep downhills go on the step where they start
+  ((elevation && elevation.steepDownhills) || []).forEach((stretch) => {
+    const step = steps.find(s => stretch.startDistance < s.endDistance) || steps[steps.length - 1];
+    if (!step) return;
+    const into = Math.max(0, stretch.startDistance - step.startDistance);
+    step.cues.push({
+      type: 'steep-downhill',
+      severity: 'danger',
+      message: `Steep downhill, ${Math.abs(Math.round(stretch.maxGrade))}% grade${ahead(into)}`,
+      distance: Math.round(into),
+    });
+  });
+
+  // Rough surfaces known from the path data
+  roughnessSegments.forEach((segment) => {
+    const step = steps[segment.index];
+    if (!step || segment.surfaceRoughness < ROUGH_SURFACE) return;
+    step.cues.push({
+      type: 'rough-surface',
+      severity: 'info',
+      message: `Rough ${(segment.surface || 'pavement').replace(/_/g, ' ')} on this stretch`,
+      distance: 0,
+    });
+  });
+
+  // Reported hazards go on whichever step passes closest to them
+  hazards.forEach((report) => {
+    if (steps.length === 0) return;
+
+    let closest = null;
+    steps.forEach((step) => {
+      const location = locateOnPolyline(report.lat, report.lng, step.points);
+      if (!closest || location.distanceM < closest.location.distanceM) {
+        closest = { step, location };
+      }
+    });
+    const { step, location } = closest;
+    const into = Math.min(location.alongM, step.distance);
+
+    if (report.type === 'smoothness' && report.rating && report.rating <= ROUGH_RATING) {
+      step.cues.push({
+        type: 'rough-patch',
+        severity: 'warning',
+        message: `Reported rough patch${ahead(into)}`,
+        distance: Math.round(into),
+      });
+    } else if (report.type === 'slick') {
+      step.cues.push({
+        type: 'slick',
+        severity: 'warning',
+        message: `Reported slick spot${ahead(into)}`,
+        distance: Math.round(into),
+      });
+    } else if (HAZARD_LABELS[report.type]) {
+      const nearTurn = into <= TURN_RADIUS_M;
+      const where = nearTurn ? (step.index === 0 ? ' near the start' : ' near this turn') : ahead(into);
+      // Reports too unsure to block the route are passed on as a heads-up
+      const confirmed = isBlocking(report);
+      const label = confirmed ? HAZARD_LABELS[report.type] : `Unconfirmed ${HAZARD_LABELS[report.type].toLowerCase()}`;
+      step.cues.push({
+        type: report.type,
+        severity: confirmed ? 'danger' : 'warning',
+        message: `${label}${where}`,
+        distance: Math.round(into),
+      });
+    }
+  });
+
+  return steps.map(({ points, ...step }) => ({
+    ...step,
+    cues: step.cues.sort((a, b) => a.distance - b.distance),
+  }));
+};
+
+module.exports = {
+  buildInstructions,
+};
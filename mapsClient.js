@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { mapsClientMode, mapsFixturesDir, campusBounds } = require('./env');
+const { cacheKey } = require('./cache');
+const { encodePolyline, calculateDistance, calculateBearing } = require('./geo');
+
+// Stand-ins for the Google Maps client, so the routing pipeline runs without
+// an API key or a network. MAPS_CLIENT_MODE picks one:
+//   live      - the real client (default)
+//   record    - the real client, saving every response as a fixture file
+//   replay    - only the recorded responses; anything not recorded fails
+//   synthetic - made-up but plausible responses for any place or coordinates
+// Fixtures are JSON files in MAPS_FIXTURES_DIR, one per request:
+// { method, params, data } with the API key left out.
+//
+// Every stand-in has the client's shape - directions / geocode / elevation
+// ({ params }) -> { data } - so the Google provider (routing.js) can't tell
+// which one it was given.
+
+const MODES = ['live', 'record', 'replay', 'synthetic'];
+const METHODS = ['directions', 'geocode', 'elevation'];
+
+// Synthetic places land within this many degrees (about 700 m) of the middle of campus
+const SYNTHETIC_SPREAD_DEG = 0.006;
+const DEFAULT_CENTER = { lat: 30.615, lng: -96.34 };
+const SPEED_MPS = { walking: 1.4, bicycling: 4.5 };
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+const withoutKey = ({ key, ...params }) => params;
+
+const fixtureKey = (method, params) => cacheKey(method, withoutKey(params));
+
+const fixtureFile = (method, params) =>
+  `${method}-${crypto.createHash('sha1').update(fixtureKey(method, params)).digest('hex').slice(0, 16)}.json`;
+
+const locationKey = ({ lat, lng }) => `${round6(lat)},${round6(lng)}`;
+
+const parseLocation = (value) => {
+  if (typeof value === 'object' && value !== null && 'lat' in value) {
+    return { lat: Number(value.lat), lng: Number(value.lng) };
+  }
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value));
+  return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+};
+
+// ============================================================================
+// RECORD / REPLAY
+// ============================================================================
+
+/**
+ * The real client (or any client), saving each response it gets to `dir`.
+ * Failed requests (network errors, bad keys) throw as usual and aren't saved.
+ */
+const createRecordingClient = (client, dir = mapsFixturesDir) => {
+  const record = (method) => async (request) => {
+    const response = await client[method](request);
+    const params = withoutKey(request.params);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, fixtureFile(method, params)),
+      `${JSON.stringify({ method, params, data: response.data }, null, 2)}\n`
+    );
+    return { data: response.data };
+  };
+  return Object.fromEntries(METHODS.map(method => [method, record(method)]));
+};
+
+/**
+ * Serve the responses recorded in `dir`. Directions and geocoding match on
+ * the request; elevations are matched point by point, since which points get
+ * batched into one request depends on what the elevation cache already had.
+ */
+const createReplayClient = (dir = mapsFixturesDir) => {
+  let fixtures = null;
+
+  const load = () => {
+    if (fixtures) return fixtures;
+    fixtures = { requests: new Map(), elevations: new Map() };
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')) : [];
+    files.forEach((file) => {
+      const { method, params, data } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (method === 'elevation') {
+        [].concat(params.locations).forEach((location, i) => {
+          if (data.results && data.results[i]) {
+            fixtures.elevations.set(locationKey(parseLocation(location)), data.results[i]);
+          }
+        });
+      } else {
+        fixtures.requests.set(fixtureKey(method, params), data);
+      }
+    });
+    return fixtures;
+  };
+
+  const notRecorded = (method, params) =>
+    new Error(`No recorded ${method} response for ${JSON.stringify(withoutKey(params))} in ${dir}; record it with MAPS_CLIENT_MODE=record`);
+
+  const replay = (method) => async ({ params }) => {
+    const data = load().requests.get(fixtureKey(method, params));
+    if (!data) throw notRecorded(method, params);
+    return { data };
+  };
+
+  return {
+    directions: replay('directions'),
+    geocode: replay('geocode'),
+    elevation: async ({ params }) => {
+      const { elevations } = load();
+      const results = [].concat(params.locations).map(location => elevations.get(locationKey(parseLocation(location))));
+      if (results.some(result => !result)) throw notRecorded('elevation', params);
+      return { data: { status: 'OK', results } };
+    },
+  };
+};
+
+// ============================================================================
+// SYNTHETIC
+// ============================================================================
+
+const center = campusBounds
+  ? { lat: (campusBounds.south + campusBounds.north) / 2, lng: (campusBounds.west + campusBounds.east) / 2 }
+  : DEFAULT_CENTER;
+
+// Coordinates stay put; any other address gets a spot near the middle of campus that only depends on the name
+const syntheticLocation = (address) => {
+  const coordinates = parseLocation(address);
+  if (coordinates) return coordinates;
+  const hash = crypto.createHash('sha1').update(String(address).trim().toLowerCase()).digest();
+  const spread = (offset) => (hash.readUInt32BE(offset) / 0xffffffff * 2 - 1) * SYNTHETIC_SPREAD_DEG;
+  return { lat: round6(center.lat + spread(0)), lng: round6(center.lng + spread(4)) };
+};
+
+// Gentle hills of a few meters around 100 m, the same for the same point every time
+const syntheticElevation = ({ lat, lng }) =>
+  100 + 6 * Math.sin(lat * 700) + 4 * Math.cos(lng * 600) + 2 * Math.sin((lat + lng) * 2300);
+
+const formatDistance = (meters) => (meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`);
+
+const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} min${minutes === 1 ? '' : 's'}`;
+};
+
+const textValue = (value, format) => ({ value: Math.round(value), text: format(value) });
+
+// One leg along a street grid: north/south first, then east/west (or the other way round).
+// Turning onto an east/west street takes a crosswalk over it.
+const syntheticLeg = (from, to, { eastFirst, speed, mode }) => {
+  const corner = eastFirst ? { lat: from.lat, lng: to.lng } : { lat: to.lat, lng: from.lng };
+  const pieces = [[from, corner], [corner, to]]
+    .filter(([a, b]) => calculateDistance(a.lat, a.lng, b.lat, b.lng) > 0);
+
+  let previousBearing = null;
+  const steps = pieces.map(([a, b]) => {
+    const meters = calculateDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+    const bearing = calculateBearing(a.lat, a.lng, b.lat, b.lng);
+    let instruction = `Head <b>${COMPASS[Math.round(bearing / 45) % 8]}</b>`;
+    let maneuver;
+    if (previousBearing !== null) {
+      const side = ((bearing - previousBearing + 540) % 360) - 180 < 0 ? 'left' : 'right';
+      maneuver = `turn-${side}`;
+      instruction = a.lat === b.lat ? `Turn <b>${side}</b> and take the crosswalk` : `Turn <b>${side}</b>`;
+    }
+    previousBearing = bearing;
+    return {
+      distance: textValue(meters, formatDistance),
+      duration: textValue(meters / speed, formatDuration),
+      start_location: a,
+      end_location: b,
+      html_instructions: instruction,
+      maneuver,
+      polyline: { points: encodePolyline([[a.lat, a.lng], [b.lat, b.lng]]) },
+      travel_mode: mode.toUpperCase(),
+    };
+  });
+
+  const meters = steps.reduce((sum, step) => sum + step.distance.value, 0);
+  return {
+    leg: {
+      distance: textValue(meters, formatDistance),
+      duration: textValue(meters / speed, formatDuration),
+      start_location: from,
+      end_location: to,
+      steps,
+    },
+    points: [from, ...pieces.map(([, b]) => b)],
+  };
+};
+
+const syntheticRoute = (stops, options) => {
+  const legs = stops.slice(1).map((to, i) => syntheticLeg(stops[i], to, options));
+  const points = legs.flatMap(({ points }, i) => (i === 0 ? points : points.slice(1)));
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  return {
+    summary: options.eastFirst ? 'East-west first' : 'North-south first',
+    legs: legs.map(({ leg }, i) => ({ ...leg, start_address: options.addresses[i], end_address: options.addresses[i + 1] })),
+    overview_polyline: { points: encodePolyline(points.map(point => [point.lat, point.lng])) },
+    bounds: {
+      northeast: { lat: Math.max(...lats), lng: Math.max(...lngs) },
+      southwest: { lat: Math.min(...lats), lng: Math.min(...lngs) },
+    },
+    warnings: [],
+    waypoint_order: [],
+  };
+};
+
+/**
+ * Made-up responses for any request: places are put near the middle of
+ * campus by name, routes follow a street grid (an L per leg, the mirrored L
+ * as the alternative), and the ground rolls gently. Deterministic, so the
+ * same request always gets the same answer.
+ */
+const createSyntheticClient = () => ({
+  directions: async ({ params }) => {
+    const { origin, destination, waypoints = [], alternatives, mode = 'walking' } = params;
+    const addresses = [origin, ...(typeof waypoints === 'string' ? waypoints.split('|') : waypoints), destination];
+    const stops = addresses.map(syntheticLocation);
+    const options = { addresses: addresses.map(String), speed: SPEED_MPS[mode] || SPEED_MPS.walking, mode };
+
+    const routes = [syntheticRoute(stops, { ...options, eastFirst: false })];
+    const straight = stops.every((stop, i) => i === 0 || stop.lat === stops[i - 1].lat || stop.lng === stops[i - 1].lng);
+    if (alternatives && !straight) {
+      routes.push(syntheticRoute(stops, { ...options, eastFirst: true }));
+    }
+    return { data: { status: 'OK', geocoded_waypoints: [], routes } };
+  },
+
+  geocode: async ({ params }) => ({
+    data: {
+      status: 'OK',
+      results: [{ formatted_address: String(params.address), geometry: { location: syntheticLocation(params.address) } }],
+    },
+  }),
+
+  elevation: async ({ params }) => ({
+    data: {
+      status: 'OK',
+      results: [].concat(params.locations).map((location) => {
+        const point = parseLocation(location);
+        return { elevation: round6(syntheticElevation(point)), location: point, resolution: 10 };
+      }),
+    },
+  }),
+});
+
+/**
+ * The client for a mode (default MAPS_CLIENT_MODE); see the top of this file.
+ */
+const createMapsClient = (mode = mapsClientMode, dir = mapsFixturesDir) => {
+  switch (mode) {
+    case 'live':
+      return new Client({});
+    case 'record':
+      return createRecordingClient(new Client({}), dir);
+    case 'replay':
+      return createReplayClient(dir);
+    case 'synthetic':
+      return createSyntheticClient();
+    default:
+      throw new Error(`Unknown Maps client mode: ${mode} (expected one of ${MODES.join(', ')})`);
+  }
+};
+
+module.exports = {
+  MODES,
+  createMapsClient,
+  createRecordingClient,
+  createReplayClient,
+  createSyntheticClient,
+};
@@ -0,0 +1,102 @@
+const { clusterReports } = require('./clusters');
+const { timeRoute } = require('./congestion');
+const { decodePolyline, isPointNearPolyline, locateOnPolyline } = require('./geo');
+const { reportLabel } = require('./reportSchema');
+
+// Live navigation: where a rider is along a computed route, whether they've
+// left it, how long is left and which reported hazards are coming up.
+// Congestion isn't a hazard to steer around: it slows the rest of the ride
+// down, so it goes into the time left instead.
+
+const OFF_ROUTE_THRESHOLD_M = 30;  // farther than this from the line counts as off route
+const HAZARD_LOOKAHEAD_M = 150;    // warn about hazards this far ahead
+const ROUGH_RATING = 2;            // smoothness ratings at or below this are worth a warning
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const HAZARD_TYPES = ['blocked', 'construction', 'slick'];
+
+const isHazard = (report) => HAZARD_TYPES.includes(report.type) ||
+  (report.type === 'smoothness' && Boolean(report.rating) && report.rating <= ROUGH_RATING);
+
+/**
+ * Progress of a rider at position { lat, lng } along a cleaned route (see
+ * POST /api/routes). Distances are meters, times are minutes.
+ * Returns { onRoute, distanceFromRoute, distanceAlong, remainingDistance,
+ *   progress, remainingTime, arrivalTime, currentStep, nextInstruction, hazards,
+ *   congestionMultiplier, congestionAhead }
+ * where hazards are [{ id, type, label, lat, lng, confidence, distanceAhead }], nearest first,
+ * and congestionAhead is the congested stretches still to ride, as
+ * [{ startDistance, endDistance, level }] (meters along the route).
+ *
+ * context.reports: reports already matched to the route; they're clustered
+ * (see clusters.js) so a hazard reported five times is one warning. The
+ * congestion reports among them retime the rest of the ride from now (see
+ * congestion.timeRoute).
+ */
+const trackProgress = (route, position, { reports = [], now = Date.now() } = {}) => {
+  const points = decodePolyline(route.polyline);
+  const onRoute = isPointNearPolyline(position, points, OFF_ROUTE_THRESHOLD_M / 1000);
+  const { distanceM, alongM, segmentIndex } = locateOnPolyline(position.lat, position.lng, points);
+
+  const steps = route.instructions || [];
+  const totalDistance = steps.length > 0 ? steps[steps.length - 1].endDistance : route.distance * 1000;
+  const distanceAlong = Math.min(alongM, totalDistance);
+  const remainingDistance = Math.max(0, totalDistance - distanceAlong);
+  // Routes that end at a rack (see planRoutes) finish with a walk that's still all ahead
+  const walkingTime = route.lastMile ? route.lastMile.walkingTime : 0;
+  const rideTime = route.travelTime - walkingTime;
+  const remainingShare = totalDistance > 0 ? remainingDistance / totalDistance : 0;
+  const timing = timeRoute(
+    [[position.lat, position.lng], ...points.slice(segmentIndex + 1)],
+    (route.baseTravelTime ?? rideTime) * remainingShare,
+    { departAt: now, reports: reports.filter(report => report.type === 'congestion') }
+  );
+  const remainingTime = timing.travelTime + walkingTime;
+
+  const currentStep = steps.find(step => distanceAlong < step.endDistance) || steps[steps.length - 1] || null;
+  const nextStep = currentStep ? steps[currentStep.index + 1] : null;
+
+  const hazards = clusterReports(reports, now)
+    .filter(isHazard)
+    .map((report) => {
+      const distanceAhead = locateOnPolyline(report.lat, report.lng, points).alongM - distanceAlong;
+      return {
+        id: report.id,
+        type: report.type,
+        label: reportLabel(report.type),
+        lat: report.lat,
+        lng: report.lng,
+        confidence: report.confidence,
+        distanceAhead: Math.round(distanceAhead),
+      };
+    })
+    .filter(hazard => hazard.distanceAhead >= 0 && hazard.distanceAhead <= HAZARD_LOOKAHEAD_M)
+    .sort((a, b) => a.distanceAhead - b.distanceAhead);
+
+  return {
+    onRoute,
+    distanceFromRoute: Math.round(distanceM),
+    distanceAlong: Math.round(distanceAlong),
+    remainingDistance: Math.round(remainingDistance),
+    progress: totalDistance > 0 ? round1(distanceAlong / totalDistance * 100) : 100,
+    remainingTime: round1(remainingTime),
+    arrivalTime: new Date(now + remainingTime * 60 * 1000).toISOString(),
+    currentStep: currentStep ? currentStep.index : null,
+    nextInstruction: nextStep
+      ? { index: nextStep.index, text: nextStep.text, distanceTo: Math.round(Math.max(0, nextStep.startDistance - distanceAlong)) }
+      : null,
+    hazards,
+    congestionMultiplier: timing.multiplier,
+    congestionAhead: timing.segments.map(segment => ({
+      startDistance: Math.round(distanceAlong + segment.startDistance),
+      endDistance: Math.round(distanceAlong + segment.endDistance),
+      level: segment.level,
+    })),
+  };
+};
+
+module.exports = {
+  OFF_ROUTE_THRESHOLD_M,
+  trackProgress,
+};
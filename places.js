@@ -0,0 +1,201 @@
+const db = require('./db');
+
+// A rider's own shortcuts: saved places and favorite routes. A saved place is
+//   { id, name, kind, location, createdAt, updatedAt }
+// where location is whatever a route's start or end takes (a place name or
+// "lat,lng") and kind is one of PLACE_KINDS. A favorite route is
+//   { id, name, start, end, options, createdAt }
+// where options are the routing fields to plan it with again (see ROUTE_OPTIONS).
+// Names are unique per rider, ignoring case. Riders who aren't logged in keep
+// the same records in the browser instead (see index.html).
+
+const PLACE_KINDS = ['home', 'dorm', 'lab', 'class', 'work', 'other'];
+const ROUTE_OPTIONS = ['profile', 'preset', 'weights', 'weather', 'parking'];
+const MAX_NAME_LENGTH = 60;
+const MAX_LOCATION_LENGTH = 200;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const checkName = (name, what) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return `${what} name is required`;
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `${what} name can be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+const isLocation = (location) => typeof location === 'string' && Boolean(location.trim()) &&
+  location.trim().length <= MAX_LOCATION_LENGTH;
+
+/**
+ * Check a saved place sent by a client: { name, kind, location }.
+ * Returns { place } with just those fields, or { error }.
+ */
+const validatePlace = (input) => {
+  const { name, kind = 'other', location } = input || {};
+
+  const nameError = checkName(name, 'Place');
+  if (nameError) {
+    return { error: nameError };
+  }
+  if (!PLACE_KINDS.includes(kind)) {
+    return { error: `Place kind must be one of ${PLACE_KINDS.join(', ')}` };
+  }
+  if (!isLocation(location)) {
+    return { error: `Place location must be a place name or "lat,lng" of at most ${MAX_LOCATION_LENGTH} characters` };
+  }
+
+  return { place: { name: name.trim(), kind, location: location.trim() } };
+};
+
+// Just the routing fields worth planning a route with again, from a request body
+const pickRouteOptions = (body) => Object.fromEntries(
+  ROUTE_OPTIONS.filter(key => body && body[key] !== undefined && body[key] !== null && body[key] !== '')
+    .map(key => [key, body[key]])
+);
+
+/**
+ * Check a favorite route sent by a client: { name, start, end, options }.
+ * Only the shape of options is checked here; the routing options in it are
+ * checked the way a route request's are (see parseRoutingOptions in server.js).
+ * Returns { favorite } with just those fields, or { error }.
+ */
+const validateFavorite = (input) => {
+  const { name, start, end, options = {} } = input || {};
+
+  const nameError = checkName(name, 'Favorite');
+  if (nameError) {
+    return { error: nameError };
+  }
+  if (!isLocation(start) || !isLocation(end)) {
+    return { error: 'A favorite route needs a start and an end' };
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'Favorite options must be an object' };
+  }
+
+  return { favorite: { name: name.trim(), start: start.trim(), end: end.trim(), options: pickRouteOptions(options) } };
+};
+
+// ============================================================================
+// SAVED PLACES
+// ============================================================================
+
+const toPlace = (row) => ({
+  id: row.id,
+  name: row.name,
+  kind: row.kind,
+  location: row.location,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const isDuplicate = (error) => error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message);
+
+const listPlaces = async (userId) => {
+  const rows = await db.all('SELECT * FROM saved_places WHERE user_id = ? ORDER BY name', [userId]);
+  return rows.map(toPlace);
+};
+
+const getPlace = async (id, userId) => {
+  const row = await db.get('SELECT * FROM saved_places WHERE id = ? AND user_id = ?', [id, userId]);
+  return row ? toPlace(row) : null;
+};
+
+// place: already validated (see validatePlace). Returns null if the rider already has a place by that name.
+const createPlace = async ({ name, kind, location }, userId) => {
+  try {
+    const { lastID } = await db.run(
+      'INSERT INTO saved_places (user_id, name, kind, location) VALUES (?, ?, ?, ?)',
+      [userId, name, kind, location]
+    );
+    return getPlace(lastID, userId);
+  } catch (error) {
+    if (isDuplicate(error)) return null;
+    throw error;
+  }
+};
+
+// Returns the updated place, undefined if the rider has no such place, or null if the new name is taken
+const updatePlace = async (id, { name, kind, location }, userId) => {
+  try {
+    const { changes } = await db.run(
+      `UPDATE saved_places SET name = ?, kind = ?, location = ?,
+         updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+       WHERE id = ? AND user_id = ?`,
+      [name, kind, location, id, userId]
+    );
+    return changes > 0 ? getPlace(id, userId) : undefined;
+  } catch (error) {
+    if (isDuplicate(error)) return null;
+    throw error;
+  }
+};
+
+const deletePlace = async (id, userId) => {
+  const { changes } = await db.run('DELETE FROM saved_places WHERE id = ? AND user_id = ?', [id, userId]);
+  return changes > 0;
+};
+
+// ============================================================================
+// FAVORITE ROUTES
+// ============================================================================
+
+const toFavorite = (row) => ({
+  id: row.id,
+  name: row.name,
+  start: row.start_location,
+  end: row.end_location,
+  options: JSON.parse(row.options),
+  createdAt: row.created_at,
+});
+
+const listFavorites = async (userId) => {
+  const rows = await db.all('SELECT * FROM favorite_routes WHERE user_id = ? ORDER BY name', [userId]);
+  return rows.map(toFavorite);
+};
+
+const getFavorite = async (id, userId) => {
+  const row = await db.get('SELECT * FROM favorite_routes WHERE id = ? AND user_id = ?', [id, userId]);
+  return row ? toFavorite(row) : null;
+};
+
+// favorite: already validated (see validateFavorite). Returns null if the rider already has a favorite by that name.
+const createFavorite = async ({ name, start, end, options }, userId) => {
+  try {
+    const { lastID } = await db.run(
+      'INSERT INTO favorite_routes (user_id, name, start_location, end_location, options) VALUES (?, ?, ?, ?, ?)',
+      [userId, name, start, end, JSON.stringify(options)]
+    );
+    return getFavorite(lastID, userId);
+  } catch (error) {
+    if (isDuplicate(error)) return null;
+    throw error;
+  }
+};
+
+const deleteFavorite = async (id, userId) => {
+  const { changes } = await db.run('DELETE FROM favorite_routes WHERE id = ? AND user_id = ?', [id, userId]);
+  return changes > 0;
+};
+
+module.exports = {
+  PLACE_KINDS,
+  ROUTE_OPTIONS,
+  validatePlace,
+  validateFavorite,
+  pickRouteOptions,
+  listPlaces,
+  getPlace,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  listFavorites,
+  getFavorite,
+  createFavorite,
+  deleteFavorite,
+};
@@ -0,0 +1,152 @@
+const { EventEmitter } = require('events');
+const db = require('./db');
+const { calculateDistance } = require('./geo');
+
+// Points of interest riders care about, for now the places to lock up a bike
+// or a board. A POI is
+//   { id, type, name, lat, lng, capacity, createdBy, createdAt, updatedAt }
+// where capacity is the number of spaces, or null when nobody has counted.
+// Changes are announced on `events`: 'create' (poi), 'update' (poi) and 'delete' ({ id }).
+
+const POI_TYPES = ['bike-rack', 'skateboard-rack'];
+const DEFAULT_NEAREST_LIMIT = 5;
+const MAX_NEAREST_LIMIT = 50;
+const PARKING_RADIUS_M = 400; // farther than this from the door isn't worth the walk
+
+const events = new EventEmitter();
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a POI sent by a client: { type, name, lat, lng, capacity }.
+ * Returns { poi } with just those fields, or { error }.
+ */
+const validatePoi = (input) => {
+  const { type, name, lat, lng, capacity } = input || {};
+
+  if (!POI_TYPES.includes(type)) {
+    return { error: `POI type must be one of ${POI_TYPES.join(', ')}` };
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'POI name is required' };
+  }
+  if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: 'POI lat and lng must be valid coordinates' };
+  }
+  if (capacity !== undefined && capacity !== null && !(Number.isInteger(capacity) && capacity >= 0)) {
+    return { error: 'Capacity must be a whole number of spaces' };
+  }
+
+  return { poi: { type, name: name.trim(), lat, lng, capacity: capacity ?? null } };
+};
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+const toPoi = (row) => ({
+  id: row.id,
+  type: row.type,
+  name: row.name,
+  lat: row.lat,
+  lng: row.lng,
+  capacity: row.capacity,
+  createdBy: row.author || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const SELECT_POIS = `
+  SELECT pois.*, users.username AS author
+  FROM pois
+  LEFT JOIN users ON users.id = pois.user_id`;
+
+// types: only these POI types (all of them when empty)
+const listPois = async (types = []) => {
+  const rows = types.length > 0
+    ? await db.all(`${SELECT_POIS} WHERE pois.type IN (${types.map(() => '?').join(', ')}) ORDER BY pois.id`, types)
+    : await db.all(`${SELECT_POIS} ORDER BY pois.id`);
+  return rows.map(toPoi);
+};
+
+const getPoi = async (id) => {
+  const row = await db.get(`${SELECT_POIS} WHERE pois.id = ?`, [id]);
+  return row ? toPoi(row) : null;
+};
+
+// poi: already validated (see validatePoi)
+const createPoi = async ({ type, name, lat, lng, capacity }, userId = null) => {
+  const { lastID } = await db.run(
+    'INSERT INTO pois (type, name, lat, lng, capacity, user_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [type, name, lat, lng, capacity, userId]
+  );
+  const poi = await getPoi(lastID);
+  events.emit('create', poi);
+  return poi;
+};
+
+// Replaces everything but the author. Returns the updated POI, or null if there is none.
+const updatePoi = async (id, { type, name, lat, lng, capacity }) => {
+  const { changes } = await db.run(
+    `UPDATE pois SET type = ?, name = ?, lat = ?, lng = ?, capacity = ?,
+       updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     WHERE id = ?`,
+    [type, name, lat, lng, capacity, id]
+  );
+  if (changes === 0) return null;
+
+  const poi = await getPoi(id);
+  events.emit('update', poi);
+  return poi;
+};
+
+const deletePoi = async (id) => {
+  const { changes } = await db.run('DELETE FROM pois WHERE id = ?', [id]);
+  if (changes > 0) events.emit('delete', { id });
+  return changes > 0;
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * POIs closest to a point, nearest first, each with its straight-line
+ * `distance` in meters. options: { types, limit, radiusM }.
+ */
+const nearestPois = async (lat, lng, { types = [], limit = DEFAULT_NEAREST_LIMIT, radiusM = Infinity } = {}) => {
+  const pois = await listPois(types);
+  return pois
+    .map(poi => ({ ...poi, distance: Math.round(calculateDistance(lat, lng, poi.lat, poi.lng) * 1000) }))
+    .filter(poi => poi.distance <= radiusM)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, Math.min(limit, MAX_NEAREST_LIMIT));
+};
+
+/**
+ * Where to leave the vehicle for a trip ending at { lat, lng }: the closest
+ * rack of one of rackTypes (see profiles.js) within PARKING_RADIUS_M, skipping
+ * racks with no spaces at all. Returns the rack with its distance, or null.
+ */
+const findParking = async ({ lat, lng }, rackTypes) => {
+  if (!rackTypes || rackTypes.length === 0) return null;
+  const racks = await nearestPois(lat, lng, { types: rackTypes, limit: MAX_NEAREST_LIMIT, radiusM: PARKING_RADIUS_M });
+  return racks.find(rack => rack.capacity !== 0) || null;
+};
+
+module.exports = {
+  POI_TYPES,
+  DEFAULT_NEAREST_LIMIT,
+  MAX_NEAREST_LIMIT,
+  events,
+  validatePoi,
+  listPois,
+  getPoi,
+  createPoi,
+  updatePoi,
+  deletePoi,
+  nearestPois,
+  findParking,
+};
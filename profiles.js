@@ -0,0 +1,194 @@
+const { REPORT_TYPES } = require('./reportSchema');
+
+// Vehicle profiles. A profile describes how one kind of rider moves: how fast
+// it cruises on the flat, how hills change that, how much rough pavement slows
+// it down, what the trip costs in calories, which report types matter to it
+// and which racks (see pois.js) it can be locked to at the end of a ride.
+//
+// Speeds are in km/h. Grades are in percent, positive uphill.
+
+const DEFAULT_PROFILE = 'skateboard';
+
+// Roughness (0-10, see roughness.js) a profile rides at full speed; rougher
+// segments slow it down in proportion to roughnessSensitivity
+const SMOOTH_ROUGHNESS = 2;
+const ROUGHNESS_SLOWDOWN = 0.5; // fully sensitive rider on roughness 10 goes at 1 / 1.4 speed
+
+const PROFILES = {
+  skateboard: {
+    name: 'skateboard',
+    label: 'Skateboard',
+    icon: '🛹',
+    cruiseSpeedKmh: 15,
+    minSpeedKmh: 4,
+    maxSpeedKmh: 22,
+    uphillLoss: 0.08,    // share of cruise speed lost per % of climb
+    downhillGain: 0.03,  // share of cruise speed gained per % of descent
+    roughnessSensitivity: 1,
+    travelMode: 'walking',
+    motorized: false,
+    calories: { perMinute: 6, perKm: 45, perMeterAscent: 10, perMeterDescent: 2 },
+    reportTypes: REPORT_TYPES,
+    rackTypes: ['skateboard-rack'],
+  },
+  longboard: {
+    name: 'longboard',
+    label: 'Longboard',
+    icon: '🛹',
+    cruiseSpeedKmh: 18,
+    minSpeedKmh: 4,
+    maxSpeedKmh: 28,
+    uphillLoss: 0.08,
+    downhillGain: 0.04,
+    roughnessSensitivity: 0.6, // bigger, softer wheels
+    travelMode: 'walking',
+    motorized: false,
+    calories: { perMinute: 5, perKm: 40, perMeterAscent: 10, perMeterDescent: 2 },
+    reportTypes: REPORT_TYPES,
+    rackTypes: ['skateboard-rack'],
+  },
+  scooter: {
+    name: 'scooter',
+    label: 'E-scooter',
+    icon: '🛴',
+    cruiseSpeedKmh: 20,
+    minSpeedKmh: 12,
+    maxSpeedKmh: 25,  // motor limiter
+    uphillLoss: 0.02,
+    downhillGain: 0,
+    roughnessSensitivity: 0.8, // small solid wheels
+    travelMode: 'bicycling',
+    motorized: true,
+    calories: { perMinute: 1, perKm: 0, perMeterAscent: 0, perMeterDescent: 0 },
+    reportTypes: REPORT_TYPES,
+    rackTypes: ['bike-rack'],
+  },
+  bike: {
+    name: 'bike',
+    label: 'Bike',
+    icon: '🚲',
+    cruiseSpeedKmh: 18,
+    minSpeedKmh: 6,
+    maxSpeedKmh: 35,
+    uphillLoss: 0.06,
+    downhillGain: 0.04,
+    roughnessSensitivity: 0.2,
+    travelMode: 'bicycling',
+    motorized: false,
+    calories: { perMinute: 8, perKm: 25, perMeterAscent: 8, perMeterDescent: 0 },
+    reportTypes: REPORT_TYPES,
+    rackTypes: ['bike-rack'],
+  },
+  walking: {
+    name: 'walking',
+    label: 'Walking',
+    icon: '🚶',
+    cruiseSpeedKmh: 5,
+    minSpeedKmh: 2.5,
+    maxSpeedKmh: 6,
+    uphillLoss: 0.04,
+    downhillGain: 0.01,
+    roughnessSensitivity: 0,
+    travelMode: 'walking',
+    motorized: false,
+    calories: { perMinute: 4, perKm: 55, perMeterAscent: 12, perMeterDescent: 3 },
+    reportTypes: ['congestion', 'construction', 'blocked'], // pavement quality doesn't matter on foot
+    rackTypes: [], // nothing to park
+  },
+};
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+// Speed on a given grade, clamped to the profile's limits
+const speedAtGrade = (profile, grade) => {
+  const factor = grade > 0 ? 1 - grade * profile.uphillLoss : 1 - grade * profile.downhillGain;
+  return Math.min(profile.maxSpeedKmh, Math.max(profile.minSpeedKmh, profile.cruiseSpeedKmh * factor));
+};
+
+/**
+ * Travel time in minutes before congestion.
+ * elevation: profile from calculateElevationProfile; its graded segments set
+ * how much hills slow the trip down. roughness: route roughness (0-10).
+ */
+const calculateTravelTime = (profile, distanceKm, elevation, roughness) => {
+  let hillFactor = 1;
+  const segments = (elevation && elevation.segments) || [];
+  if (segments.length > 0) {
+    let actual = 0;
+    let flat = 0;
+    segments.forEach(({ startDistance, endDistance, grade }) => {
+      const length = endDistance - startDistance;
+      actual += length / speedAtGrade(profile, grade);
+      flat += length / profile.cruiseSpeedKmh;
+    });
+    if (flat > 0) hillFactor = actual / flat;
+  }
+
+  const roughnessFactor = 1 +
+    Math.max(0, (roughness || 0) - SMOOTH_ROUGHNESS) / 10 * ROUGHNESS_SLOWDOWN * profile.roughnessSensitivity;
+
+  return (distanceKm / profile.cruiseSpeedKmh) * 60 * hillFactor * roughnessFactor;
+};
+
+const calculateCalories = (profile, distanceKm, travelTimeMinutes, elevationData) => {
+  const { perMinute, perKm, perMeterAscent, perMeterDescent } = profile.calories;
+
+  // Average of the time- and distance-based estimates
+  const baseCalories = (travelTimeMinutes * perMinute + distanceKm * perKm) / 2;
+
+  // Every climb and descent along the way; descents still take effort to control
+  let elevationCalories = 0;
+  if (elevationData && elevationData.totalAscent !== undefined) {
+    elevationCalories += elevationData.totalAscent * perMeterAscent;
+    elevationCalories += elevationData.totalDescent * perMeterDescent;
+  }
+
+  return Math.round(baseCalories + elevationCalories);
+};
+
+// Only the reports this profile cares about
+const relevantReports = (profile, reports) =>
+  (reports || []).filter(report => profile.reportTypes.includes(report.type));
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const profiles = new Map(Object.values(PROFILES).map(profile => [profile.name, profile]));
+
+const getProfile = (name = DEFAULT_PROFILE) => {
+  const profile = profiles.get(name);
+  if (!profile) {
+    throw new Error(`Unknown vehicle profile: ${name}`);
+  }
+  return profile;
+};
+
+const registerProfile = (profile) => {
+  profiles.set(profile.name, profile);
+};
+
+const listProfiles = () => [...profiles.keys()];
+
+// What the UI needs to draw a selector
+const describeProfile = ({ name, label, icon, cruiseSpeedKmh, motorized }) => ({
+  name,
+  label,
+  icon,
+  cruiseSpeedKmh,
+  motorized,
+});
+
+module.exports = {
+  DEFAULT_PROFILE,
+  speedAtGrade,
+  calculateTravelTime,
+  calculateCalories,
+  relevantReports,
+  getProfile,
+  registerProfile,
+  listProfiles,
+  describeProfile,
+};
@@ -0,0 +1,130 @@
+// Weighted route ranking. Every candidate route is measured on a fixed set of
+// factors, each factor is min-max normalized across the candidates (0 = best
+// of the bunch, 1 = worst), and the weighted average of those becomes a score
+// from 0 to 1 where higher is better.
+
+// Lower is better for every factor
+const FACTORS = {
+  time: { label: 'Travel time', value: route => route.travelTime },
+  turns: { label: 'Turns', value: route => route.numTurns },
+  smoothness: { label: 'Roughness', value: route => route.roughness },
+  grade: { label: 'Grade', value: route => (route.elevation ? route.elevation.avgGrade || 0 : 0) },
+  congestion: { label: 'Congestion', value: route => route.congestionMultiplier - 1 },
+  distance: { label: 'Distance', value: route => route.distance },
+  hazards: { label: 'Unconfirmed hazards', value: route => route.hazardRisk || 0 },
+  slip: { label: 'Slip risk', value: route => route.slipRisk || 0 },
+};
+
+const DEFAULT_WEIGHTS = {
+  time: 1,
+  turns: 0.5,
+  smoothness: 0.5,
+  grade: 0.3,
+  congestion: 0.3,
+  distance: 0.2,
+  hazards: 0.5,
+  slip: 0.6,
+};
+
+const PRESETS = {
+  commute: {
+    label: 'Commute',
+    weights: { time: 1, turns: 0.2, smoothness: 0.3, grade: 0.2, congestion: 0.6, distance: 0.3, hazards: 0.4, slip: 0.5 },
+  },
+  'chill-cruise': {
+    label: 'Chill cruise',
+    weights: { time: 0, turns: 0.6, smoothness: 1, grade: 0.7, congestion: 0.5, distance: 0, hazards: 0.8, slip: 0.8 },
+  },
+  'hill-avoider': {
+    label: 'Hill avoider',
+    weights: { time: 0.3, turns: 0.2, smoothness: 0.3, grade: 1, congestion: 0.2, distance: 0.1, hazards: 0.4, slip: 0.6 },
+  },
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check caller-supplied weights. Factors left out count as 0.
+ * Returns { weights } or { error }.
+ */
+const validateWeights = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Weights must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !FACTORS[key]);
+  if (unknown.length > 0) {
+    return { error: `Unknown ranking factor(s): ${unknown.join(', ')}` };
+  }
+
+  const weights = {};
+  for (const factor of Object.keys(FACTORS)) {
+    const value = input[factor] === undefined ? 0 : input[factor];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { error: `Weight for ${factor} must be a non-negative number` };
+    }
+    weights[factor] = value;
+  }
+
+  if (Object.values(weights).every(value => value === 0)) {
+    return { error: 'At least one weight must be above 0' };
+  }
+  return { weights };
+};
+
+/**
+ * Rank routes by weighted score. Blocked routes always come after the open
+ * ones. Returns one entry per route, best first:
+ * { route, rank, score, blocked, breakdown: { factor: { value, normalized, weight, contribution } } }
+ * where contribution is the share of the score that factor cost, so
+ * score = 1 - sum(contribution).
+ */
+const rankRoutes = (routes, weights = DEFAULT_WEIGHTS) => {
+  const factors = Object.keys(FACTORS);
+  const totalWeight = factors.reduce((sum, factor) => sum + (weights[factor] || 0), 0) || 1;
+
+  const ranges = {};
+  factors.forEach((factor) => {
+    const values = routes.map(FACTORS[factor].value);
+    ranges[factor] = { min: Math.min(...values), max: Math.max(...values) };
+  });
+
+  const scored = routes.map((route) => {
+    const breakdown = {};
+    let cost = 0;
+
+    factors.forEach((factor) => {
+      const value = FACTORS[factor].value(route);
+      const { min, max } = ranges[factor];
+      const normalized = max > min ? (value - min) / (max - min) : 0;
+      const weight = (weights[factor] || 0) / totalWeight;
+      const contribution = weight * normalized;
+      cost += contribution;
+
+      breakdown[factor] = {
+        value: round3(value),
+        normalized: round3(normalized),
+        weight: round3(weight),
+        contribution: round3(contribution),
+      };
+    });
+
+    return { route, score: round3(1 - cost), blocked: Boolean(route.blocked), breakdown };
+  });
+
+  // Array.prototype.sort is stable, so ties keep the order the routes came in
+  return scored
+    .sort((a, b) => (a.blocked - b.blocked) || (b.score - a.score))
+    .map((entry, i) => ({ ...entry, rank: i + 1 }));
+};
+
+// Factor names and labels, in display order
+const listFactors = () => Object.keys(FACTORS).map(name => ({ name, label: FACTORS[name].label }));
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  PRESETS,
+  validateWeights,
+  rankRoutes,
+  listFactors,
+};
@@ -0,0 +1,71 @@
+// Per-client request limits, so one client can't flood the map with reports
+// or keep the routing providers busy. A client is the logged-in user when
+// there is one (so riders behind the same campus NAT don't share a limit),
+// otherwise the IP address. Counts are kept in memory in fixed windows; a
+// restart starts everyone over.
+
+/**
+ * Create a limiter allowing `limit` requests per client every `windowMs`.
+ * `name` says what's being limited in the error, e.g. 'reports'.
+ * Returns { middleware, consume, purgeExpired }; put the middleware after
+ * auth.requireAuth where there is one so logged-in users are told apart.
+ * Requests over the limit get a 429 with { error, retryAfter (seconds) }.
+ * A request that does the work of several (a bulk import, a batch of
+ * provider calls) charges it with consume(req, res, count), on top of the
+ * middleware's one where it has both. consume sends the same 429 and returns
+ * false when the client can't afford count yet, or a 413 when count is more
+ * than a whole window allows.
+ */
+const createRateLimiter = ({ name, limit, windowMs }) => {
+  const windows = new Map(); // client -> { count, resetAt }
+
+  const clientOf = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+  const consume = (req, res, count = 1) => {
+    const now = Date.now();
+    const client = clientOf(req);
+    let window = windows.get(client);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(client, window);
+    }
+
+    res.set('RateLimit-Limit', String(limit));
+    if (count > limit) {
+      res.status(413).json({ error: `Too many ${name} for one request; at most ${limit} at a time` });
+      return false;
+    }
+    if (window.count + count > limit) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      res.set('RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: `Too many ${name}; try again in ${retryAfter} s`, retryAfter });
+      return false;
+    }
+    window.count += count;
+    res.set('RateLimit-Remaining', String(limit - window.count));
+    return true;
+  };
+
+  const middleware = (req, res, next) => {
+    if (consume(req, res)) next();
+  };
+
+  // Forget clients whose window is over; returns how many were dropped
+  const purgeExpired = (now = Date.now()) => {
+    let purged = 0;
+    windows.forEach((window, client) => {
+      if (window.resetAt <= now) {
+        windows.delete(client);
+        purged++;
+      }
+    });
+    return purged;
+  };
+
+  return { middleware, consume, purgeExpired };
+};
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,132 @@
+const { campusBounds } = require('./env');
+
+// What a report looks like, per type. Every way a report gets in - POST
+// /api/reports, GeoJSON imports, and the reports a client sends along with a
+// route request - goes through validateReport, so a report that passes is one
+// the scoring code (smoothness scores, congestion timing, hazard clusters) can
+// trust: a known type, a real spot on campus and, where the type has one, a
+// level from 1 to 5.
+//
+// A valid report is { type, lat, lng, rating, congestion, timestamp }; rating
+// is only kept on smoothness reports and congestion only on congestion reports.
+
+const LEVEL_MIN = 1;
+const LEVEL_MAX = 5;
+const MAX_CLIENT_REPORTS = 1000;          // reports a client may send with one request
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;  // phone clocks run a little fast
+
+/**
+ * label: what riders call it (e.g. in hazard warnings)
+ * level: the 1-5 field the type needs, if any, and how to ask for it
+ */
+const REPORT_SCHEMAS = {
+  smoothness: { label: 'Rough patch', level: { field: 'rating', description: 'a rating' } },
+  congestion: { label: 'Congestion', level: { field: 'congestion', description: 'a congestion level' } },
+  construction: { label: 'Construction' },
+  blocked: { label: 'Blocked path' },
+  slick: { label: 'Slick spot' },
+};
+
+const REPORT_TYPES = Object.keys(REPORT_SCHEMAS);
+
+const isLevel = (value) => Number.isInteger(value) && value >= LEVEL_MIN && value <= LEVEL_MAX;
+
+const isCoordinate = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// Inside { south, west, north, east }; no bounds lets everything in
+const withinBounds = ({ lat, lng }, bounds = campusBounds) => !bounds ||
+  (lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Check one report: { type, lat, lng, rating, congestion, timestamp }.
+ * timestamp is optional (now) but may not be in the future. Fields the type
+ * doesn't use are dropped. Returns { report } or { error }.
+ * options: { bounds (default: CAMPUS_BOUNDS), now }.
+ */
+const validateReport = (input, { bounds = campusBounds, now = Date.now() } = {}) => {
+  const { type, lat, lng, timestamp } = input || {};
+  const schema = REPORT_SCHEMAS[type];
+
+  if (!schema) {
+    return { error: `Report type must be one of ${REPORT_TYPES.join(', ')}` };
+  }
+  if (!isCoordinate(lat, lng)) {
+    return { error: 'Report lat and lng must be numbers in degrees' };
+  }
+  if (!withinBounds({ lat, lng }, bounds)) {
+    return { error: 'Reports can only be filed on campus; that spot is outside the campus area' };
+  }
+  const level = schema.level ? input[schema.level.field] : null;
+  if (schema.level && !isLevel(level)) {
+    return { error: `${capitalize(type)} reports need ${schema.level.description} from ${LEVEL_MIN} to ${LEVEL_MAX}` };
+  }
+
+  let filedAt = new Date(now).toISOString();
+  if (timestamp !== undefined && timestamp !== null) {
+    const time = new Date(timestamp);
+    if (Number.isNaN(time.getTime()) || time.getTime() > now + MAX_CLOCK_SKEW_MS) {
+      return { error: 'Report timestamp must be a valid date that is not in the future' };
+    }
+    filedAt = time.toISOString();
+  }
+
+  return {
+    report: {
+      type,
+      lat,
+      lng,
+      rating: schema.level && schema.level.field === 'rating' ? level : null,
+      congestion: schema.level && schema.level.field === 'congestion' ? level : null,
+      timestamp: filedAt,
+    },
+  };
+};
+
+/**
+ * Check the reports a client sent along with a request (e.g. the ones it has
+ * stored locally). Invalid ones - stored before a schema or bounds change, say -
+ * are left out rather than failing the request, with one message each in
+ * skipped. A valid report's id is kept so reports the server already has aren't
+ * counted twice, but confirmations and disputes are not - a client can't vouch
+ * for its own reports. Returns { reports, skipped }, or { error } when reports
+ * isn't an array or is too long.
+ */
+const validateClientReports = (reports, options) => {
+  if (reports === undefined || reports === null) {
+    return { reports: [], skipped: [] };
+  }
+  if (!Array.isArray(reports)) {
+    return { error: 'reports must be an array of reports' };
+  }
+  if (reports.length > MAX_CLIENT_REPORTS) {
+    return { error: `At most ${MAX_CLIENT_REPORTS} reports can be sent with a request` };
+  }
+
+  const checked = [];
+  const skipped = [];
+  for (let i = 0; i < reports.length; i++) {
+    const { report, error } = validateReport(reports[i], options);
+    if (error) {
+      skipped.push(`Report ${i + 1}: ${error}`);
+      continue;
+    }
+    const { id } = reports[i];
+    checked.push({ ...report, id: Number.isInteger(id) && id > 0 ? id : null });
+  }
+  return { reports: checked, skipped };
+};
+
+const reportLabel = (type) => (REPORT_SCHEMAS[type] ? REPORT_SCHEMAS[type].label : type);
+
+module.exports = {
+  REPORT_SCHEMAS,
+  REPORT_TYPES,
+  MAX_CLIENT_REPORTS,
+  isLevel,
+  withinBounds,
+  validateReport,
+  validateClientReports,
+  reportLabel,
+};
@@ -0,0 +1,271 @@
+const { EventEmitter } = require('events');
+const db = require('./db');
+const { DECAY_CONFIG, expiryCutoff, isExpired } = require('./decay');
+const { createSpatialIndex } = require('./spatialIndex');
+
+// Report persistence. Routes work with plain report objects shaped like the
+// ones index.html builds: { id, type, lat, lng, rating, congestion, timestamp },
+// plus the id and username of the rider who filed it and how many other riders
+// confirmed or disputed it. Expired, resolved and disputed reports are archived
+// rather than deleted, and drop out of listReports.
+//
+// Live reports are also kept in an in-memory spatial index for matching them
+// against routes; every write below keeps it in sync with the table.
+//
+// Changes are announced on `events`: 'create' (report), 'update' (report),
+// 'delete' ({ id }) and 'archive' ({ id, reason }), where reason is 'expired',
+// 'resolved' or 'disputed'.
+
+const spatialIndex = createSpatialIndex();
+const events = new EventEmitter();
+
+// Imported reports this close to a live one of the same type and time are the same report
+const DUPLICATE_RADIUS_M = 5;
+
+// A report is taken down once this many riders dispute it and they outnumber
+// its backers (the author plus everyone who confirmed it)
+const DISPUTES_TO_ARCHIVE = 3;
+
+const VOTES = ['confirm', 'dispute'];
+
+const toReport = (row) => ({
+  id: row.id,
+  type: row.type,
+  lat: row.lat,
+  lng: row.lng,
+  rating: row.rating,
+  congestion: row.congestion,
+  timestamp: row.timestamp,
+  userId: row.user_id,
+  author: row.author || null,
+  confirmations: row.confirmations || 0,
+  disputes: row.disputes || 0,
+  archivedAt: row.archived_at,
+  archiveReason: row.archive_reason,
+});
+
+const SELECT_REPORTS = `
+  SELECT reports.*, users.username AS author,
+    (SELECT COUNT(*) FROM report_votes WHERE report_id = reports.id AND vote = 'confirm') AS confirmations,
+    (SELECT COUNT(*) FROM report_votes WHERE report_id = reports.id AND vote = 'dispute') AS disputes
+  FROM reports
+  LEFT JOIN users ON users.id = reports.user_id`;
+
+const listReports = async () => {
+  const rows = await db.all(`${SELECT_REPORTS} WHERE reports.archived_at IS NULL ORDER BY reports.id`);
+  return rows.map(toReport);
+};
+
+// Fill the spatial index from the database; call once after db.init()
+const loadIndex = async () => {
+  spatialIndex.clear();
+  (await listReports()).forEach(report => spatialIndex.insert(report));
+  return spatialIndex.size();
+};
+
+// The highest report id the database has handed out. Ids are never reused, so
+// every id up to this one is a report the server knows about, whether it's
+// live, archived or deleted by now.
+const lastIssuedId = async () => {
+  const row = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'reports'");
+  return row ? row.seq : 0;
+};
+
+const getReport = async (id) => {
+  const row = await db.get(`${SELECT_REPORTS} WHERE reports.id = ?`, [id]);
+  return row ? toReport(row) : null;
+};
+
+const countReports = async () => {
+  const { count } = await db.get('SELECT COUNT(*) AS count FROM reports WHERE archived_at IS NULL');
+  return count;
+};
+
+// Stored as ISO strings so expiry cutoffs can be compared in SQL
+const normalizeTimestamp = (timestamp) => {
+  const filedAt = timestamp ? new Date(timestamp) : new Date();
+  return Number.isNaN(filedAt.getTime()) ? new Date().toISOString() : filedAt.toISOString();
+};
+
+// The id is always assigned by the database; any id sent by the client is ignored.
+const createReport = async ({ type, lat, lng, rating, congestion, timestamp }, userId = null) => {
+  const { lastID } = await db.run(
+    'INSERT INTO reports (type, lat, lng, rating, congestion, timestamp, user_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      type,
+      lat,
+      lng,
+      rating ?? null,
+      congestion ?? null,
+      normalizeTimestamp(timestamp),
+      userId,
+    ]
+  );
+  const report = await getReport(lastID);
+  spatialIndex.insert(report);
+  events.emit('create', report);
+  return report;
+};
+
+const deleteReport = async (id) => {
+  const { changes } = await db.run('DELETE FROM reports WHERE id = ?', [id]);
+  spatialIndex.remove(id);
+  if (changes > 0) events.emit('delete', { id });
+  return changes > 0;
+};
+
+// Returns true if the report existed and was not already archived.
+const archiveReport = async (id, reason) => {
+  const { changes } = await db.run(
+    'UPDATE reports SET archived_at = ?, archive_reason = ? WHERE id = ? AND archived_at IS NULL',
+    [new Date().toISOString(), reason, id]
+  );
+  spatialIndex.remove(id);
+  if (changes > 0) events.emit('archive', { id, reason });
+  return changes > 0;
+};
+
+/**
+ * Record a rider's confirm or dispute vote on a live report, replacing any
+ * earlier vote of theirs. Returns the updated report, archived with reason
+ * 'disputed' if this vote tipped it over, or null if there is no live report.
+ */
+const voteOnReport = async (id, userId, vote) => {
+  if (!VOTES.includes(vote)) {
+    throw new Error(`Unknown vote: ${vote}`);
+  }
+  const existing = await getReport(id);
+  if (!existing || existing.archivedAt) {
+    return null;
+  }
+
+  await db.run(
+    `INSERT INTO report_votes (report_id, user_id, vote) VALUES (?, ?, ?)
+     ON CONFLICT (report_id, user_id) DO UPDATE SET vote = excluded.vote, created_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`,
+    [id, userId, vote]
+  );
+  const report = await getReport(id);
+
+  if (report.disputes >= DISPUTES_TO_ARCHIVE && report.disputes > 1 + report.confirmations) {
+    await archiveReport(id, 'disputed');
+    return getReport(id);
+  }
+
+  spatialIndex.insert(report);
+  events.emit('update', report);
+  return report;
+};
+
+/**
+ * Merge a batch of already validated reports (e.g. from a GeoJSON survey).
+ * Reports that duplicate a live one or have already expired are skipped.
+ * Returns { imported, duplicates, expired } where imported are the saved reports.
+ */
+const importReports = async (reports, userId = null, now = Date.now()) => {
+  const imported = [];
+  let duplicates = 0;
+  let expired = 0;
+
+  for (const report of reports) {
+    if (isExpired(report, now)) {
+      expired++;
+      continue;
+    }
+    const timestamp = new Date(report.timestamp).getTime();
+    const duplicate = spatialIndex.nearPoint(report.lat, report.lng, DUPLICATE_RADIUS_M).some(existing =>
+      existing.type === report.type && new Date(existing.timestamp).getTime() === timestamp
+    );
+    if (duplicate) {
+      duplicates++;
+      continue;
+    }
+    imported.push(await createReport(report, userId));
+  }
+
+  return { imported, duplicates, expired };
+};
+
+/**
+ * Archive every live report that has outlived its type's TTL.
+ * Returns the number of reports archived.
+ */
+const archiveExpiredReports = async (now = Date.now()) => {
+  const archivedAt = new Date(now).toISOString();
+  const knownTypes = Object.keys(DECAY_CONFIG);
+  const archivedIds = [];
+
+  for (const type of knownTypes) {
+    const cutoff = expiryCutoff(type, now);
+    if (cutoff === null) continue;
+
+    const rows = await db.all(
+      `UPDATE reports SET archived_at = ?, archive_reason = 'expired'
+       WHERE archived_at IS NULL AND type = ? AND timestamp < ?
+       RETURNING id`,
+      [archivedAt, type, cutoff]
+    );
+    archivedIds.push(...rows.map(row => row.id));
+  }
+
+  // Types without their own config share the fallback TTL
+  const fallbackCutoff = expiryCutoff(null, now);
+  const rows = await db.all(
+    `UPDATE reports SET archived_at = ?, archive_reason = 'expired'
+     WHERE archived_at IS NULL AND type NOT IN (${knownTypes.map(() => '?').join(', ')}) AND timestamp < ?
+     RETURNING id`,
+    [archivedAt, ...knownTypes, fallbackCutoff]
+  );
+  archivedIds.push(...rows.map(row => row.id));
+
+  archivedIds.forEach((id) => {
+    spatialIndex.remove(id);
+    events.emit('archive', { id, reason: 'expired' });
+  });
+  return archivedIds.length;
+};
+
+/**
+ * Congestion reports filed from `since` up to `until` (ISO strings), live or
+ * archived, as { lat, lng, congestion, timestamp }. Used to learn when and
+ * where campus gets crowded; disputed reports are left out.
+ */
+const listCongestionHistory = async (since, until) => db.all(
+  `SELECT lat, lng, congestion, timestamp FROM reports
+   WHERE type = 'congestion' AND congestion IS NOT NULL AND timestamp >= ? AND timestamp < ?
+     AND (archive_reason IS NULL OR archive_reason != 'disputed')`,
+  [since, until]
+);
+
+/**
+ * Reports of the given types (all when empty) filed since `since` (ISO),
+ * live or archived, disputed ones left out. Used for heatmaps over a time window.
+ */
+const listReportsSince = async (since, types = []) => {
+  const typeFilter = types.length > 0 ? `AND reports.type IN (${types.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(
+    `${SELECT_REPORTS}
+     WHERE reports.timestamp >= ? ${typeFilter}
+       AND (reports.archive_reason IS NULL OR reports.archive_reason != 'disputed')
+     ORDER BY reports.id`,
+    [since, ...types]
+  );
+  return rows.map(toReport);
+};
+
+module.exports = {
+  events,
+  spatialIndex,
+  loadIndex,
+  listReports,
+  getReport,
+  lastIssuedId,
+  countReports,
+  createReport,
+  deleteReport,
+  importReports,
+  voteOnReport,
+  archiveReport,
+  archiveExpiredReports,
+  listCongestionHistory,
+  listReportsSince,
+};
@@ -0,0 +1,136 @@
+const { decodePolyline, distanceToSegment, calculateDistance } = require('./geo');
+
+// Deterministic roughness model. Each step of a route is one segment; its
+// roughness (0 = glass-smooth, 10 = unrideable) blends what we know about the
+// surface with nearby smoothness reports, and the route's roughness is the
+// length-weighted average of its segments.
+
+// Roughness of OSM `surface` values on the 0-10 scale
+const SURFACE_ROUGHNESS = {
+  asphalt: 1,
+  concrete: 1.5,
+  paved: 1.5,
+  'concrete:plates': 2.5,
+  paving_stones: 4,
+  bricks: 5,
+  brick: 5,
+  sett: 6,
+  compacted: 6,
+  fine_gravel: 7,
+  gravel: 8,
+  unpaved: 8,
+  dirt: 8.5,
+  grass: 9,
+};
+
+// Typical campus sidewalk, used when the surface isn't known
+const DEFAULT_ROUGHNESS = 2;
+// How much the surface counts against reports: a known surface is worth one
+// full-strength report, an assumed one half of that
+const KNOWN_SURFACE_WEIGHT = 1;
+const UNKNOWN_SURFACE_WEIGHT = 0.5;
+const REPORT_RADIUS_M = 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const surfaceRoughness = (surface) =>
+  (surface && SURFACE_ROUGHNESS[surface] !== undefined ? SURFACE_ROUGHNESS[surface] : null);
+
+// 5-star smoothness rating -> roughness (5 stars = 0, 1 star = 10)
+const ratingToRoughness = (rating) => (5 - rating) * 2.5;
+
+const distanceToLineM = (lat, lng, points) => {
+  if (points.length === 1) {
+    return calculateDistance(lat, lng, points[0][0], points[0][1]) * 1000;
+  }
+  let best = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [lat1, lng1] = points[i];
+    const [lat2, lng2] = points[i + 1];
+    best = Math.min(best, distanceToSegment(lat, lng, lat1, lng1, lat2, lng2) * 1000);
+  }
+  return best;
+};
+
+/**
+ * Roughness of a single segment.
+ * points: the segment's [lat, lng] coordinates.
+ * surface: OSM surface tag, if known.
+ * reports: clustered reports (see clusters.js). Smoothness clusters count by
+ * confidence times closeness, fading to nothing at REPORT_RADIUS_M from the segment.
+ */
+const segmentRoughness = (points, surface, reports) => {
+  const known = surfaceRoughness(surface);
+  const priorWeight = known === null ? UNKNOWN_SURFACE_WEIGHT : KNOWN_SURFACE_WEIGHT;
+  const prior = known === null ? DEFAULT_ROUGHNESS : known;
+
+  let reportTotal = 0;
+  let reportWeightTotal = 0;
+  let reportCount = 0;
+
+  (reports || []).forEach((report) => {
+    if (report.type !== 'smoothness' || !report.rating) return;
+
+    const distance = distanceToLineM(report.lat, report.lng, points);
+    if (distance >= REPORT_RADIUS_M) return;
+
+    const weight = report.confidence * (1 - distance / REPORT_RADIUS_M);
+    if (weight <= 0) return;
+
+    reportTotal += ratingToRoughness(report.rating) * weight;
+    reportWeightTotal += weight;
+    reportCount++;
+  });
+
+  return {
+    surface: surface || null,
+    surfaceRoughness: prior,
+    reportRoughness: reportWeightTotal > 0 ? round2(reportTotal / reportWeightTotal) : null,
+    reportWeight: round2(reportWeightTotal),
+    reportCount,
+    roughness: round2((prior * priorWeight + reportTotal) / (priorWeight + reportWeightTotal)),
+  };
+};
+
+/**
+ * Per-segment and overall roughness for a Directions API route.
+ * Returns { roughness, segments }, where roughness is the length-weighted
+ * average over segments (0-10).
+ */
+const calculateRouteRoughness = (route, reports) => {
+  const segments = [];
+  let offset = 0;
+
+  route.legs.forEach((leg) => {
+    leg.steps.forEach((step) => {
+      const points = step.polyline && step.polyline.points
+        ? decodePolyline(step.polyline.points)
+        : [[step.start_location.lat, step.start_location.lng], [step.end_location.lat, step.end_location.lng]];
+      const length = step.distance.value;
+
+      segments.push({
+        index: segments.length,
+        startDistance: offset,
+        endDistance: offset + length,
+        length,
+        ...segmentRoughness(points, step.surface, reports),
+      });
+      offset += length;
+    });
+  });
+
+  const totalLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+  const roughness = totalLength > 0
+    ? segments.reduce((sum, segment) => sum + segment.roughness * segment.length, 0) / totalLength
+    : DEFAULT_ROUGHNESS;
+
+  return { roughness: round2(roughness), segments };
+};
+
+module.exports = {
+  SURFACE_ROUGHNESS,
+  DEFAULT_ROUGHNESS,
+  surfaceRoughness,
+  segmentRoughness,
+  calculateRouteRoughness,
+};
@@ -0,0 +1,593 @@
+const { createMapsClient } = require('./mapsClient');
+const {
+  googleMapsApiKey,
+  routingProvider,
+  campusGraphPath,
+  cacheMaxEntries,
+  cachePersist,
+} = require('./env');
+const { cacheKey, createCache, createSqliteStore } = require('./cache');
+const { clusterReports, isBlocking, isBlockingType } = require('./clusters');
+const { loadGraph, nearestNode, findPath } = require('./campusGraph');
+const { surfaceRoughness, DEFAULT_ROUGHNESS } = require('./roughness');
+const { indexItems } = require('./spatialIndex');
+const { zoneContains, zoneSpeedKmh } = require('./zones');
+const { getProfile } = require('./profiles');
+const { getConditions, isSlickStep } = require('./weather');
+const {
+  encodePolyline,
+  distanceToSegment,
+  calculateDistance,
+  calculateBearing,
+} = require('./geo');
+
+/**
+ * Routing providers.
+ *
+ * Every provider exposes the same three calls, all shaped after the Google
+ * Maps web services so the route metrics don't care where a route came from:
+ *
+ *   directions({ origin, destination, waypoints, alternatives, mode, reports, profile, zones, weather })
+ *     -> { status, routes }   (routes in Directions API format)
+ *   geocode(address) -> { lat, lng }   (throws if the address is unknown)
+ *   elevation([{ lat, lng }, ...]) -> [meters | null, ...]
+ *
+ * `mode` is the Directions API travel mode ('walking' or 'bicycling').
+ * `reports`, `profile` (see profiles.js), `zones` (see zones.js) and
+ * `weather` (conditions, see weather.js) are optional context; providers that
+ * can route around reported hazards, rough or slick surfaces or restricted
+ * zones use them, others ignore them.
+ */
+
+const REPORT_RADIUS_M = 50;
+const MAX_SNAP_DISTANCE_KM = 0.3;
+const ALTERNATIVE_PENALTY = 1.5;
+const UNCONFIRMED_HAZARD_PENALTY = 2; // times confidence, for blocked/construction clusters too unsure to block
+const MAX_ALTERNATIVES = 3;
+
+// ============================================================================
+// GOOGLE MAPS PROVIDER
+// ============================================================================
+
+// client: the Google Maps client or a stand-in for it (see mapsClient.js)
+const createGoogleProvider = (client = createMapsClient()) => ({
+  name: 'google',
+
+  directions: async ({ origin, destination, waypoints, alternatives, mode = 'walking' }) => {
+    const params = {
+      origin,
+      destination,
+      mode,
+      key: googleMapsApiKey,
+    };
+    if (waypoints && waypoints.length > 0) {
+      params.waypoints = waypoints;
+      params.optimize = false;
+    }
+    if (alternatives) {
+      params.alternatives = true;
+    }
+
+    const response = await client.directions({ params });
+    return response.data;
+  },
+
+  geocode: async (address) => {
+    const response = await client.geocode({
+      params: {
+        address,
+        key: googleMapsApiKey,
+      },
+    });
+
+    if (response.data.results.length === 0) {
+      throw new Error(`Could not geocode address: ${address}`);
+    }
+
+    return response.data.results[0].geometry.location;
+  },
+
+  elevation: async (locations) => {
+    const response = await client.elevation({
+      params: {
+        locations: locations.map(({ lat, lng }) => `${lat},${lng}`),
+        key: googleMapsApiKey,
+      },
+    });
+
+    if (response.data.status !== 'OK') {
+      throw new Error(`Elevation API error: ${response.data.status}`);
+    }
+
+    return response.data.results.map(result => result.elevation);
+  },
+});
+
+// ============================================================================
+// CACHING
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_TTL_MS = {
+  directions: DAY_MS,
+  geocode: 30 * DAY_MS,
+  elevation: 365 * DAY_MS, // the ground doesn't move much
+};
+
+// Shared cache for paid Google Maps responses
+const mapsCache = createCache({
+  maxEntries: cacheMaxEntries,
+  store: cachePersist === 'sqlite' ? createSqliteStore() : null,
+});
+
+/**
+ * Wrap a provider so repeated requests are served from the cache. Only use
+ * this for providers whose answers don't depend on `reports`, `profile`,
+ * `zones` or `weather`, since they are left out of the cache key.
+ */
+const createCachedProvider = (provider, cache = mapsCache) => ({
+  ...provider,
+
+  directions: (params) => {
+    const { reports, profile, zones, weather, now, ...request } = params;
+    return cache.wrap(
+      cacheKey(`${provider.name}:directions`, request),
+      () => provider.directions(params),
+      { ttl: CACHE_TTL_MS.directions, shouldCache: data => ['OK', 'ZERO_RESULTS'].includes(data.status) }
+    );
+  },
+
+  geocode: (address) => cache.wrap(
+    cacheKey(`${provider.name}:geocode`, address),
+    () => provider.geocode(address),
+    { ttl: CACHE_TTL_MS.geocode }
+  ),
+
+  // Cached per location, so routes that share points only look up the new ones
+  elevation: async (locations) => {
+    const keys = locations.map(location => cacheKey(`${provider.name}:elevation`, location));
+    const results = await Promise.all(keys.map(key => cache.get(key)));
+    const missing = results
+      .map((value, i) => (value === undefined ? i : -1))
+      .filter(i => i !== -1);
+
+    if (missing.length > 0) {
+      const fetched = await provider.elevation(missing.map(i => locations[i]));
+      missing.forEach((index, i) => {
+        results[index] = fetched[i] ?? null;
+        if (fetched[i] !== null && fetched[i] !== undefined) {
+          cache.set(keys[index], fetched[i], CACHE_TTL_MS.elevation);
+        }
+      });
+    }
+
+    return results;
+  },
+});
+
+// ============================================================================
+// CAMPUS GRAPH PROVIDER
+// ============================================================================
+
+const parseLatLng = (value) => {
+  if (typeof value === 'object' && value !== null && 'lat' in value) {
+    return { lat: Number(value.lat), lng: Number(value.lng) };
+  }
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value));
+  return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+};
+
+const normalizeName = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const formatDistance = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+
+const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} min${minutes === 1 ? '' : 's'}`;
+};
+
+const maneuverForTurn = (delta) => {
+  const magnitude = Math.abs(delta);
+  const side = delta < 0 ? 'left' : 'right';
+  if (magnitude < 20) return undefined;
+  if (magnitude < 45) return `turn-slight-${side}`;
+  if (magnitude < 135) return `turn-${side}`;
+  return `turn-sharp-${side}`;
+};
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// OSM footway=crossing: a crosswalk, usually painted
+const isCrossing = (edge) => edge.properties.footway === 'crossing';
+
+// Signed change in heading, -180..180 (negative = left)
+const headingChange = (from, to) => ((to - from + 540) % 360) - 180;
+
+const createCampusProvider = (graphFile = campusGraphPath) => {
+  let graph = null;
+
+  const getGraph = () => {
+    if (!graph) {
+      try {
+        graph = loadGraph(graphFile);
+      } catch (error) {
+        throw new Error(`Could not load campus graph from ${graphFile}: ${error.message}`);
+      }
+      console.log(`🗺️  Campus graph loaded: ${graph.nodes.size} nodes, ${graph.edges.length} edges, ${graph.places.length} places`);
+    }
+    return graph;
+  };
+
+  const geocode = async (address) => {
+    const coordinates = parseLatLng(address);
+    if (coordinates) {
+      return coordinates;
+    }
+
+    // Match the longest place name contained in the address ("Zachry Engineering Center, College Station, TX"),
+    // or a place whose name contains the address's first part ("Zachry, College Station")
+    const wanted = normalizeName(address);
+    const firstPart = normalizeName(String(address).split(',')[0]);
+    if (!firstPart) {
+      throw new Error(`Could not geocode address: ${address}`);
+    }
+    const match = getGraph().places
+      .filter(place => wanted.includes(normalizeName(place.name)) || normalizeName(place.name).includes(firstPart))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+
+    if (!match) {
+      throw new Error(`Could not geocode address: ${address}`);
+    }
+
+    return { lat: match.lat, lng: match.lng };
+  };
+
+  // Interpolate along the nearest edge so grades change smoothly between vertices
+  const elevationAt = (lat, lng) => {
+    let best = null;
+    let bestDistance = Infinity;
+
+    graph.edges.forEach((edge) => {
+      const from = graph.nodes.get(edge.from);
+      const to = graph.nodes.get(edge.to);
+      const distance = distanceToSegment(lat, lng, from.lat, from.lng, to.lat, to.lng);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { from, to };
+      }
+    });
+
+    if (!best || bestDistance > MAX_SNAP_DISTANCE_KM) return null;
+    const { from, to } = best;
+    if (from.elevation === null || to.elevation === null) return null;
+
+    const toFrom = calculateDistance(lat, lng, from.lat, from.lng);
+    const toTo = calculateDistance(lat, lng, to.lat, to.lng);
+    const t = toFrom + toTo > 0 ? toFrom / (toFrom + toTo) : 0;
+    return from.elevation + (to.elevation - from.elevation) * t;
+  };
+
+  // Whether the graph file loads; a provider without one can't route anything
+  const isAvailable = () => {
+    try {
+      getGraph();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const elevation = async (locations) => {
+    getGraph();
+    return locations.map(({ lat, lng }) => elevationAt(lat, lng));
+  };
+
+  // Zones an edge runs through, judged by its midpoint
+  const edgeZones = (edge, zones) => {
+    if (!zones || zones.length === 0) return [];
+    const from = graph.nodes.get(edge.from);
+    const to = graph.nodes.get(edge.to);
+    return zones.filter(zone => zoneContains(zone, (from.lat + to.lat) / 2, (from.lng + to.lng) / 2));
+  };
+
+  /**
+   * Cost of each edge in meter-equivalents: its length scaled up by rough
+   * surfaces, low smoothness ratings, congestion and grade. Reports are
+   * clustered first (see clusters.js) and count by confidence. Edges under a
+   * confident blocked/construction cluster are forbidden unless `allowBlocked`
+   * is set, in which case they are merely very expensive; less certain ones
+   * just add to the cost. A vehicle `profile` scales
+   * the surface penalties by how much it minds rough pavement and picks which
+   * report types count. Edges in a no-entry zone are always forbidden;
+   * dismount and slow zones cost the time lost going at the zone's speed.
+   * The `weather` conditions price slick surfaces and slick reports, and set
+   * how steep a descent has to be before it costs extra, and how much.
+   */
+  const createEdgeCost = (reports, now, allowBlocked, profile, zones, weather = getConditions()) => {
+    const sensitivity = profile ? profile.roughnessSensitivity : 1;
+    const cruiseSpeedKmh = (profile || getProfile('walking')).cruiseSpeedKmh;
+    const relevant = (reports || []).filter(report => !profile || profile.reportTypes.includes(report.type));
+
+    const liveIndex = indexItems(clusterReports(relevant, now));
+    const cache = new Map();
+
+    const edgePenalty = (edge) => {
+      if (cache.has(edge.id)) return cache.get(edge.id);
+
+      const from = graph.nodes.get(edge.from);
+      const to = graph.nodes.get(edge.to);
+      // Smooth asphalt (roughness 1) costs nothing extra; gravel (8) adds 1.75x its length for a skateboard
+      const surface = surfaceRoughness(edge.properties.surface);
+      let penalty = Math.max(0, (surface === null ? DEFAULT_ROUGHNESS : surface) - 1) * 0.25 * sensitivity;
+      if (isSlickStep({ surface: edge.properties.surface, crossing: isCrossing(edge) })) {
+        penalty += weather.slickSurfacePenalty;
+      }
+      let blocked = false;
+      let noEntry = false;
+      let roughness = 0, roughnessWeight = 0;
+      let congestion = 0, congestionWeight = 0;
+
+      liveIndex.nearPolyline([[from.lat, from.lng], [to.lat, to.lng]], REPORT_RADIUS_M).forEach((report) => {
+        const weight = report.confidence;
+        if (isBlocking(report)) {
+          blocked = true;
+        } else if (isBlockingType(report.type)) {
+          penalty += weight * UNCONFIRMED_HAZARD_PENALTY;
+        } else if (report.type === 'smoothness' && report.rating) {
+          roughness += (5 - report.rating) * weight;
+          roughnessWeight += weight;
+        } else if (report.type === 'congestion' && report.congestion) {
+          congestion += (report.congestion - 1) * weight;
+          congestionWeight += weight;
+        } else if (report.type === 'slick') {
+          penalty += weight * weather.slickReportPenalty;
+        }
+      });
+
+      penalty += (roughness / Math.max(roughnessWeight, 1)) * 0.25 * sensitivity;
+      penalty += (congestion / Math.max(congestionWeight, 1)) * 0.25;
+
+      edgeZones(edge, zones).forEach((zone) => {
+        if (zone.kind === 'no-entry') {
+          noEntry = true;
+          return;
+        }
+        const speed = zoneSpeedKmh(zone);
+        if (speed) penalty += Math.max(0, cruiseSpeedKmh / speed - 1);
+      });
+
+      const result = { penalty, blocked, noEntry };
+      cache.set(edge.id, result);
+      return result;
+    };
+
+    return (edge, fromId, toId) => {
+      const { penalty, blocked, noEntry } = edgePenalty(edge);
+      if (noEntry || (blocked && !allowBlocked)) return Infinity;
+
+      let gradePenalty = 0;
+      const from = graph.nodes.get(fromId);
+      const to = graph.nodes.get(toId);
+      if (from.elevation !== null && to.elevation !== null && edge.lengthM > 0) {
+        const grade = (to.elevation - from.elevation) / edge.lengthM * 100;
+        // Climbs cost effort; steep descents cost control, more so in the wet
+        gradePenalty = grade > 0
+          ? grade * 0.1
+          : Math.max(0, -grade - weather.steepDownhillGrade) * weather.steepDownhillPenalty;
+      }
+
+      return edge.lengthM * (1 + penalty + gradePenalty) * (blocked ? 100 : 1);
+    };
+  };
+
+  // Turn a list of graph edges into a Directions API leg
+  const buildLeg = (nodeIds, edges, startAddress, endAddress, zones) => {
+    const steps = [];
+    let current = null;
+    let previousBearing = null;
+
+    edges.forEach((edge, i) => {
+      const from = graph.nodes.get(nodeIds[i]);
+      const to = graph.nodes.get(nodeIds[i + 1]);
+      const bearing = calculateBearing(from.lat, from.lng, to.lat, to.lng);
+      const name = edge.properties.name || null;
+      const surface = edge.properties.surface || null;
+      // OSM marks walk-your-board stretches with bicycle=dismount; dismount zones do the same
+      const dismount = edge.properties.bicycle === 'dismount' || edge.properties.dismount === 'yes' ||
+        edgeZones(edge, zones).some(zone => zone.kind === 'dismount');
+      const crossing = isCrossing(edge);
+      const delta = previousBearing === null ? 0 : headingChange(previousBearing, bearing);
+
+      if (!current || name !== current.name || surface !== current.surface || dismount !== current.dismount ||
+          crossing !== current.crossing || Math.abs(delta) >= 45) {
+        const maneuver = current ? maneuverForTurn(delta) : undefined;
+        const onto = name ? ` onto ${name}` : '';
+        let instruction;
+        if (!current) {
+          instruction = `Head ${COMPASS[Math.round(bearing / 45) % 8]}${name ? ` on ${name}` : ''}`;
+        } else if (maneuver) {
+          instruction = `${maneuver.replace('turn-', 'Turn ').replace('slight-', 'slight ').replace('sharp-', 'sharp ')}${onto}`;
+        } else {
+          instruction = `Continue${onto}`;
+        }
+
+        current = { name, surface, dismount, crossing, maneuver, instruction, points: [[from.lat, from.lng]], meters: 0 };
+        steps.push(current);
+      }
+
+      current.points.push([to.lat, to.lng]);
+      current.meters += edge.lengthM;
+      previousBearing = bearing;
+    });
+
+    const legMeters = steps.reduce((sum, step) => sum + step.meters, 0);
+    // Durations are at a walk, like the Directions API's walking mode
+    const walkingMps = getProfile('walking').cruiseSpeedKmh / 3.6;
+    const first = graph.nodes.get(nodeIds[0]);
+    const last = graph.nodes.get(nodeIds[nodeIds.length - 1]);
+
+    return {
+      distance: { value: Math.round(legMeters), text: formatDistance(legMeters) },
+      duration: { value: Math.round(legMeters / walkingMps), text: formatDuration(legMeters / walkingMps) },
+      start_address: startAddress,
+      end_address: endAddress,
+      start_location: { lat: first.lat, lng: first.lng },
+      end_location: { lat: last.lat, lng: last.lng },
+      steps: steps.map(step => ({
+        distance: { value: Math.round(step.meters), text: formatDistance(step.meters) },
+        duration: { value: Math.round(step.meters / walkingMps), text: formatDuration(step.meters / walkingMps) },
+        start_location: { lat: step.points[0][0], lng: step.points[0][1] },
+        end_location: { lat: step.points[step.points.length - 1][0], lng: step.points[step.points.length - 1][1] },
+        html_instructions: step.instruction,
+        maneuver: step.maneuver,
+        polyline: { points: encodePolyline(step.points) },
+        travel_mode: 'WALKING',
+        // Not part of the Directions API; lets the roughness model and directions use the campus path data
+        surface: step.surface,
+        dismount: step.dismount,
+        crossing: step.crossing,
+      })),
+    };
+  };
+
+  const buildRoute = (legs, legPaths) => {
+    const points = [];
+    legPaths.forEach(({ nodeIds }) => {
+      nodeIds.forEach((id) => {
+        const node = graph.nodes.get(id);
+        const last = points[points.length - 1];
+        if (!last || last[0] !== node.lat || last[1] !== node.lng) {
+          points.push([node.lat, node.lng]);
+        }
+      });
+    });
+
+    const names = [...new Set(legPaths.flatMap(({ edges }) => edges.map(edge => edge.properties.name).filter(Boolean)))];
+
+    return {
+      summary: names.slice(0, 2).join(' and ') || 'Campus paths',
+      legs,
+      overview_polyline: { points: encodePolyline(points) },
+      warnings: [],
+      waypoint_order: [],
+    };
+  };
+
+  const directions = async ({ origin, destination, waypoints = [], alternatives = false, reports = [], profile = null, zones = [], weather, now = Date.now() }) => {
+    getGraph();
+
+    const stops = await Promise.all([origin, ...waypoints, destination].map(geocode));
+    const snapped = stops.map(({ lat, lng }) => nearestNode(graph, lat, lng));
+    if (snapped.some(entry => !entry || entry.distanceKm > MAX_SNAP_DISTANCE_KM)) {
+      return { status: 'NOT_FOUND', routes: [] };
+    }
+
+    const clearCost = createEdgeCost(reports, now, false, profile, zones, weather);
+    const fallbackCost = createEdgeCost(reports, now, true, profile, zones, weather);
+    const usedEdges = new Map(); // edge id -> times used by earlier alternatives
+    const routes = [];
+    const wanted = alternatives ? MAX_ALTERNATIVES : 1;
+
+    // A repeated route just raises the penalty on its edges for the next attempt
+    for (let attempt = 0; attempt < wanted * 3 && routes.length < wanted; attempt++) {
+      // Later alternatives are pushed away from edges the earlier ones already use
+      const costWith = (baseCost) => (edge, fromId, toId) =>
+        baseCost(edge, fromId, toId) * Math.pow(ALTERNATIVE_PENALTY, usedEdges.get(edge.id) || 0);
+
+      const legPaths = [];
+      for (let i = 0; i < snapped.length - 1; i++) {
+        const fromId = snapped[i].node.id;
+        const toId = snapped[i + 1].node.id;
+        const legPath = findPath(graph, fromId, toId, costWith(clearCost)) ||
+          findPath(graph, fromId, toId, costWith(fallbackCost));
+        if (!legPath) {
+          // The fallback only forbids no-entry zones, so the stops simply aren't connected around them
+          return { status: 'ZERO_RESULTS', routes: [] };
+        }
+        legPaths.push(legPath);
+      }
+
+      legPaths.forEach(({ edges }) => edges.forEach((edge) => {
+        usedEdges.set(edge.id, (usedEdges.get(edge.id) || 0) + 1);
+      }));
+
+      const signature = legPaths.flatMap(({ edges }) => edges.map(edge => edge.id)).join(',');
+      if (routes.some(route => route.signature === signature)) continue;
+
+      const places = [origin, ...waypoints, destination].map(String);
+      const legs = legPaths.map((legPath, i) => buildLeg(legPath.nodeIds, legPath.edges, places[i], places[i + 1], zones));
+      routes.push({ ...buildRoute(legs, legPaths), signature });
+    }
+
+    return {
+      status: 'OK',
+      routes: routes.map(({ signature, ...route }) => route),
+    };
+  };
+
+  return {
+    name: 'campus',
+    directions,
+    geocode,
+    elevation,
+    isAvailable,
+  };
+};
+
+// ============================================================================
+// PROVIDER REGISTRY
+// ============================================================================
+
+const providerFactories = {
+  google: () => createCachedProvider(createGoogleProvider()),
+  campus: createCampusProvider,
+};
+
+const providers = new Map();
+
+const instance = (name) => {
+  if (!providers.has(name)) {
+    providers.set(name, providerFactories[name]());
+  }
+  return providers.get(name);
+};
+
+// Providers can say they can't work here (the campus one without its graph file)
+const isUsable = (name) => {
+  const provider = instance(name);
+  return !provider.isAvailable || provider.isAvailable();
+};
+
+/**
+ * Look up a routing provider by name (defaults to ROUTING_PROVIDER, then
+ * 'google'). Providers are created once and reused.
+ */
+const getProvider = (name = routingProvider) => {
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown routing provider: ${name}`);
+  }
+  if (!isUsable(name)) {
+    throw new Error(`Routing provider ${name} is not available`);
+  }
+  return instance(name);
+};
+
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providers.delete(name);
+};
+
+// The providers that can be used right now
+const listProviders = () => Object.keys(providerFactories).filter(isUsable);
+
+module.exports = {
+  mapsCache,
+  createCachedProvider,
+  createGoogleProvider,
+  createCampusProvider,
+  getProvider,
+  registerProvider,
+  listProviders,
+};
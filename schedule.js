@@ -0,0 +1,321 @@
+// Class schedules: a day of classes, typed in or pulled from an .ics calendar,
+// and the timing model for getting from one class to the next within the
+// passing period. Routing itself happens in planSchedule (server.js); this
+// module only deals with times.
+//
+// A class is { name, building, start, end } with start and end as "HH:MM"
+// (24-hour, wall-clock time in the server's time zone, which should be the
+// campus's; calendars in other zones are converted on import).
+
+const MAX_CLASSES = 12;
+const LOCK_MINUTES = 1;      // to lock or unlock at a rack
+const TIGHT_SLACK_MIN = 2;   // a transition with less time to spare than this is flagged as tight
+const MAX_RECURRENCE_DAYS = 366 * 2; // how far a repeating event is followed forward
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+const formatTime = (minutes) => `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+const formatDate = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a day of classes sent by a client. Returns { classes } sorted by start
+ * time, or { error }. Classes may not overlap.
+ */
+const validateClasses = (classes) => {
+  if (!Array.isArray(classes) || classes.length < 2) {
+    return { error: 'A schedule needs at least two classes' };
+  }
+  if (classes.length > MAX_CLASSES) {
+    return { error: `A schedule can have at most ${MAX_CLASSES} classes` };
+  }
+
+  for (let i = 0; i < classes.length; i++) {
+    const { building, start, end } = classes[i] || {};
+    if (typeof building !== 'string' || !building.trim()) {
+      return { error: `Class ${i + 1}: building is required` };
+    }
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      return { error: `Class ${i + 1}: start and end must be times like "09:10"` };
+    }
+    if (toMinutes(end) <= toMinutes(start)) {
+      return { error: `Class ${i + 1}: must end after it starts` };
+    }
+  }
+
+  const sorted = classes
+    .map(({ name, building, start, end }) => ({
+      name: typeof name === 'string' && name.trim() ? name.trim() : building.trim(),
+      building: building.trim(),
+      start: formatTime(toMinutes(start)),
+      end: formatTime(toMinutes(end)),
+    }))
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+  const overlap = sorted.findIndex((cls, i) => i > 0 && toMinutes(cls.start) < toMinutes(sorted[i - 1].end));
+  if (overlap > 0) {
+    return { error: `${sorted[overlap - 1].name} and ${sorted[overlap].name} overlap` };
+  }
+
+  return { classes: sorted };
+};
+
+// ============================================================================
+// ICS IMPORT
+// ============================================================================
+
+// Long lines are folded onto continuation lines that start with a space or tab
+const unfoldLines = (text) => String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// "DTSTART;TZID=America/Chicago:20260824T091000"
+//   -> { name: 'DTSTART', timeZone: 'America/Chicago', value: '20260824T091000' }
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  const tzid = params.find(param => /^TZID=/i.test(param));
+  return {
+    name: name.toUpperCase(),
+    timeZone: tzid ? tzid.slice(5).replace(/^"|"$/g, '') : null,
+    value: line.slice(colon + 1),
+  };
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// How far a time zone's wall clock is ahead of UTC at a moment (ms), e.g. -5 h for America/Chicago in summer
+const zoneOffset = (timeZone, time) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(time).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+};
+
+/**
+ * An ICS date-time as a Date. UTC times (ending in Z) and times with a TZID
+ * (an IANA zone such as America/Chicago; see classesFromIcs for others) are
+ * converted to the server's time zone; times with neither are taken as
+ * wall-clock times. All-day dates and anything unreadable give null.
+ */
+const parseIcsDateTime = (value, timeZone = null) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match.map((part, i) => (i > 0 && i < 7 ? Number(part) : part));
+  if (utc) {
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+  if (timeZone) {
+    // The zone's offset at the wall-clock time read as UTC is right except near a
+    // clock change, where the second try lands on the other side of it
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const guess = wallClock - zoneOffset(timeZone, wallClock);
+    return new Date(wallClock - zoneOffset(timeZone, guess));
+  }
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const parseRule = (value) => Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, v]) => [key.toUpperCase(), v]));
+
+const sameDay = (a, b) => formatDate(a) === formatDate(b);
+const dayNumber = (date) => Math.round(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() / 86400000);
+
+/**
+ * Whether an event happens on the given day. Repeating events are followed
+ * for RRULE FREQ=DAILY or WEEKLY with INTERVAL, BYDAY, UNTIL and COUNT, and
+ * EXDATE days are skipped; anything else only counts on its first day.
+ */
+const occursOn = (event, date) => {
+  if (event.exdates.some(exdate => sameDay(exdate, date))) return false;
+  if (!event.rule) return sameDay(event.start, date);
+
+  const { FREQ, INTERVAL, BYDAY, UNTIL, COUNT } = event.rule;
+  if (FREQ !== 'DAILY' && FREQ !== 'WEEKLY') return sameDay(event.start, date);
+
+  const first = dayNumber(event.start);
+  const target = dayNumber(date);
+  if (target < first || target - first > MAX_RECURRENCE_DAYS) return false;
+  const until = UNTIL ? parseIcsDateTime(UNTIL.length === 8 ? `${UNTIL}T235959` : UNTIL) : null;
+  if (until && dayNumber(until) < target) return false;
+
+  const interval = Number(INTERVAL) || 1;
+  const days = BYDAY ? BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.slice(-2))) : [event.start.getDay()];
+  // Day n after the first one, as a JS weekday and a (daily or weekly) period number
+  const matches = (n) => {
+    const weekday = (event.start.getDay() + n) % 7;
+    if (FREQ === 'DAILY') return n % interval === 0 && (!BYDAY || days.includes(weekday));
+    const week = Math.floor((n + event.start.getDay()) / 7); // weeks start on Sunday
+    return week % interval === 0 && days.includes(weekday);
+  };
+
+  if (!matches(target - first)) return false;
+  if (!COUNT) return true;
+  let seen = 0;
+  for (let n = 0; n <= target - first; n++) {
+    if (matches(n)) seen++;
+  }
+  return seen <= Number(COUNT);
+};
+
+/**
+ * The classes on one day ("YYYY-MM-DD") of an .ics calendar: every VEVENT
+ * with a start, an end and a LOCATION that happens on that day, as classes
+ * (SUMMARY is the name, LOCATION the building). Times are converted to the
+ * server's time zone; a TZID that isn't an IANA zone name (e.g. Outlook's
+ * "Central Standard Time") is an error rather than a guess.
+ * Returns { classes } or { error }.
+ */
+const classesFromIcs = (text, day) => {
+  if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+    return { error: 'Expected an iCalendar (.ics) file' };
+  }
+  if (!DATE_PATTERN.test(day)) {
+    return { error: 'date must look like 2026-09-14' };
+  }
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const date = new Date(year, month - 1, dayOfMonth);
+
+  const events = [];
+  const unknownZones = new Set();
+  let current = null;
+  unfoldLines(text).forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { exdates: [] };
+    } else if (line === 'END:VEVENT') {
+      if (current && current.start && current.end && current.location) events.push(current);
+      current = null;
+    } else if (current) {
+      const field = parseLine(line);
+      if (!field) return;
+      if (field.timeZone && !isTimeZone(field.timeZone)) {
+        unknownZones.add(field.timeZone);
+        return;
+      }
+      if (field.name === 'SUMMARY') current.summary = unescapeText(field.value);
+      if (field.name === 'LOCATION') current.location = unescapeText(field.value);
+      if (field.name === 'DTSTART') current.start = parseIcsDateTime(field.value, field.timeZone);
+      if (field.name === 'DTEND') current.end = parseIcsDateTime(field.value, field.timeZone);
+      if (field.name === 'RRULE') current.rule = parseRule(field.value);
+      if (field.name === 'EXDATE') {
+        current.exdates.push(...field.value.split(',')
+          // Whole skipped days are days on the server's calendar too
+          .map(value => (value.length === 8 ? parseIcsDateTime(`${value}T000000`) : parseIcsDateTime(value, field.timeZone)))
+          .filter(Boolean));
+      }
+    }
+  });
+
+  if (unknownZones.size > 0) {
+    return { error: `Unknown time zone in the calendar: ${[...unknownZones].join(', ')}; export it with IANA zone names like America/Chicago` };
+  }
+
+  const minutesOf = (time) => time.getHours() * 60 + time.getMinutes();
+  const classes = events
+    .filter(event => occursOn(event, date))
+    .map(event => ({
+      name: event.summary || event.location,
+      building: event.location,
+      start: formatTime(minutesOf(event.start)),
+      end: formatTime(minutesOf(event.end)),
+    }));
+
+  if (classes.length === 0) {
+    return { error: `No classes with a location on ${day}` };
+  }
+  return validateClasses(classes);
+};
+
+// ============================================================================
+// TIMING
+// ============================================================================
+
+/**
+ * Minutes a transition takes on a cleaned route (see POST /api/routes):
+ * walking from the last building to the rack (originWalk minutes, null when
+ * the vehicle isn't at a rack), unlocking, riding, locking and walking to the
+ * next door (the route's lastMile). The ride already includes dismount and
+ * slow zones, reported as zoneDelay.
+ */
+const transitionTiming = (route, { originWalk = null } = {}) => {
+  const walkToDoor = route.lastMile ? route.lastMile.walkingTime : 0;
+  const timing = {
+    walkToRack: originWalk ?? 0,
+    unlock: originWalk === null ? 0 : LOCK_MINUTES,
+    ride: route.travelTime - walkToDoor,
+    zoneDelay: route.zoneDelay || 0,
+    lock: route.lastMile ? LOCK_MINUTES : 0,
+    walkToDoor,
+  };
+  const total = timing.walkToRack + timing.unlock + timing.ride + timing.lock + timing.walkToDoor;
+  return Object.fromEntries(Object.entries({ ...timing, total }).map(([key, value]) => [key, round1(value)]));
+};
+
+// A "HH:MM" time on a "YYYY-MM-DD" day, as local ms
+const dateTime = (day, time) => {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return new Date(year, month - 1, dayOfMonth, 0, toMinutes(time)).getTime();
+};
+
+// Minutes between the end of one class and the start of the next
+const passingPeriod = (from, to) => toMinutes(to.start) - toMinutes(from.end);
+
+// Whether two classes are in the same building, so there's nothing to route between them
+const sameBuilding = (from, to) => from.building.toLowerCase() === to.building.toLowerCase();
+
+// How many passing periods of a day's classes need a route
+const countRoutedTransitions = (classes) =>
+  classes.slice(1).filter((to, i) => !sameBuilding(classes[i], to)).length;
+
+/**
+ * Feasibility of a transition: { slack (minutes to spare), feasible, tight }.
+ */
+const assessTransition = (total, available) => ({
+  slack: round1(available - total),
+  feasible: total <= available,
+  tight: total <= available && available - total < TIGHT_SLACK_MIN,
+});
+
+module.exports = {
+  MAX_CLASSES,
+  DATE_PATTERN,
+  validateClasses,
+  classesFromIcs,
+  transitionTiming,
+  passingPeriod,
+  sameBuilding,
+  countRoutedTransitions,
+  assessTransition,
+  formatDate,
+  dateTime,
+};
@@ -1,8 +1,36 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { Client } = require('@googlemaps/google-maps-services-js');
+const { randomUUID } = require('crypto');
 require('dotenv').config();
+const db = require('./db');
+const reportStore = require('./reports');
+const auth = require('./auth');
+const { clusterReports, isBlocking, isBlockingType } = require('./clusters');
+const routing = require('./routing');
+const { decodePolyline, encodePolyline } = require('./geo');
+const { indexItems, combineIndexes } = require('./spatialIndex');
+const { calculateElevationProfile } = require('./elevation');
+const { calculateRouteRoughness } = require('./roughness');
+const profiles = require('./profiles');
+const ranking = require('./ranking');
+const { buildInstructions } = require('./instructions');
+const formats = require('./formats');
+const { createCache } = require('./cache');
+const { createEventStream } = require('./sse');
+const navigation = require('./navigation');
+const zoneStore = require('./zones');
+const poiStore = require('./pois');
+const placeStore = require('./places');
+const tripHistory = require('./history');
+const trips = require('./trips');
+const schedule = require('./schedule');
+const congestion = require('./congestion');
+const weather = require('./weather');
+const reportSchema = require('./reportSchema');
+const heatmap = require('./heatmap');
+const { createRateLimiter } = require('./rateLimit');
+const { reportRateLimit, routeRateLimit, importRateLimit, mapsClientMode } = require('./env');
 
 const app = express();
 const port = 3000;
@@ -11,14 +39,35 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname)));
 
-const googleMapsClient = new Client({});
-
 // Constants
-const SKATEBOARD_SPEED_KMH = 15;
-const WALKING_SPEED_KMH = 5;
+const MINUTE_MS = 60 * 1000;
+const REPORT_ARCHIVE_INTERVAL_MS = 5 * 60 * 1000;
+const CACHE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const CONGESTION_HISTORY_INTERVAL_MS = 60 * 60 * 1000;
+const REPORT_MATCH_RADIUS_M = 50;
+const COMPUTED_ROUTE_TTL_MS = 60 * 60 * 1000;
+const IMPORT_BODY_LIMIT = '5mb';
+
+// Per-client limits on filing and voting on reports, and on route planning
+const reportLimiter = createRateLimiter({ name: 'reports', limit: reportRateLimit, windowMs: 10 * MINUTE_MS });
+const routeLimiter = createRateLimiter({ name: 'route requests', limit: routeRateLimit, windowMs: MINUTE_MS });
+const importLimiter = createRateLimiter({ name: 'imported reports', limit: importRateLimit, windowMs: 60 * MINUTE_MS });
 
-// Store reports in memory
-let globalReports = [];
+// Recent /api/routes results, kept so their routes can be exported or navigated afterwards
+const computedRoutes = createCache({ maxEntries: 200, ttlMs: COMPUTED_ROUTE_TTL_MS });
+
+// Live report changes for the map, see GET /api/reports/stream
+const reportStream = createEventStream();
+reportStore.events.on('create', report => reportStream.publish('report-created', report));
+reportStore.events.on('update', report => reportStream.publish('report-updated', report));
+reportStore.events.on('delete', ({ id }) => reportStream.publish('report-deleted', { id }));
+reportStore.events.on('archive', ({ id, reason }) => reportStream.publish(`report-${reason}`, { id, reason }));
+zoneStore.events.on('create', zone => reportStream.publish('zone-created', zone));
+zoneStore.events.on('update', zone => reportStream.publish('zone-updated', zone));
+zoneStore.events.on('delete', ({ id }) => reportStream.publish('zone-deleted', { id }));
+poiStore.events.on('create', poi => reportStream.publish('poi-created', poi));
+poiStore.events.on('update', poi => reportStream.publish('poi-updated', poi));
+poiStore.events.on('delete', ({ id }) => reportStream.publish('poi-deleted', { id }));
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -47,349 +96,34 @@ const countTurns = (route) => {
   return turnCount;
 };
 
-// Get elevation for a single point
-const getElevation = async (lat, lng) => {
-  try {
-    const response = await googleMapsClient.elevation({
-      params: {
-        locations: [`${lat},${lng}`],
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      },
-    });
-    
-    if (response.data.status !== 'OK' || response.data.results.length === 0) {
-      console.error('Elevation API error:', response.data.status);
-      return null;
-    }
-    
-    return response.data.results[0].elevation;
-  } catch (error) {
-    console.error('Error fetching elevation:', error.message);
-    return null;
-  }
-};
-
-// Calculate elevation difference and difficulty
-const calculateElevationDifference = async (startLat, startLng, endLat, endLng) => {
-  try {
-    const startElevation = await getElevation(startLat, startLng);
-    const endElevation = await getElevation(endLat, endLng);
-    
-    if (startElevation === null || endElevation === null) {
-      return {
-        difference: 0,
-        direction: 'flat',
-        difficulty: 'unknown',
-        difficultyColor: '#999',
-        startElevation: 0,
-        endElevation: 0
-      };
-    }
-    
-    const difference = endElevation - startElevation;
-    const absDifference = Math.abs(difference);
-    
-    let direction = 'flat';
-    if (difference > 1) {
-      direction = 'uphill';
-    } else if (difference < -1) {
-      direction = 'downhill';
-    }
-    
-    // Calculate difficulty based on elevation change
-    let difficulty = 'flat';
-    let difficultyColor = '#2196F3'; // Blue
-    
-    if (absDifference < 3) {
-      difficulty = 'flat';
-      difficultyColor = '#2196F3'; // Blue
-    } else if (absDifference < 8) {
-      difficulty = 'easy';
-      difficultyColor = '#4CAF50'; // Green
-    } else if (absDifference < 15) {
-      difficulty = 'moderate';
-      difficultyColor = '#FF9800'; // Orange
-    } else if (absDifference < 25) {
-      difficulty = 'hard';
-      difficultyColor = '#FF5722'; // Deep Orange
-    } else {
-      difficulty = 'very hard';
-      difficultyColor = '#F44336'; // Red
-    }
-    
-    return {
-      difference: Math.round(difference * 10) / 10,
-      absDifference: Math.round(absDifference * 10) / 10,
-      direction,
-      difficulty,
-      difficultyColor,
-      startElevation: Math.round(startElevation * 10) / 10,
-      endElevation: Math.round(endElevation * 10) / 10
-    };
-  } catch (error) {
-    console.error('Error calculating elevation:', error);
-    return {
-      difference: 0,
-      direction: 'flat',
-      difficulty: 'unknown',
-      difficultyColor: '#999',
-      startElevation: 0,
-      endElevation: 0
-    };
-  }
-};
-
-const calculateCalories = (distanceKm, skateTimeMinutes, elevationData) => {
-  // Base calorie burn from skateboarding (6 cal/min average)
-  const baseCalories = skateTimeMinutes * 6;
-  
-  // Distance-based calories (45 cal/km average)
-  const distanceCalories = distanceKm * 45;
-  
-  // Elevation adjustment
-  let elevationCalories = 0;
-  
-  if (elevationData && elevationData.difference !== undefined) {
-    if (elevationData.difference > 0) {
-      // Uphill: significant calorie increase (10 cal per meter)
-      elevationCalories = elevationData.difference * 10;
-    } else if (elevationData.difference < 0) {
-      // Downhill: slight reduction but still requires effort for control
-      // Use 2 cal per meter (maintaining balance, braking)
-      elevationCalories = Math.abs(elevationData.difference) * 2;
-    }
-  }
-  
-  // Combine all factors (use average of base and distance, then add elevation)
-  const totalCalories = Math.round((baseCalories + distanceCalories) / 2 + elevationCalories);
-  
-  return totalCalories;
-};
-
-/**
- * Calculate time adjustment based on congestion reports
- * Congestion levels: 1 (empty) to 5 (packed)
- * Higher congestion = slower skateboarding speed
- */
-const calculateCongestionTimeAdjustment = (route, reports) => {
-  if (!reports || reports.length === 0) {
-    return 1.0; // No adjustment
-  }
-  
-  const polyline = route.overview_polyline.points;
-  const coordinates = decodePolyline(polyline);
-  
-  let totalCongestion = 0;
-  let congestionCount = 0;
-  
-  reports.forEach(report => {
-    if (report.type === 'congestion' && report.congestion) {
-      const nearRoute = isPointNearPolyline(
-        { lat: report.lat, lng: report.lng },
-        coordinates,
-        0.05 // 50 meter threshold
-      );
-      
-      if (nearRoute) {
-        totalCongestion += report.congestion;
-        congestionCount++;
-      }
-    }
-  });
-  
-  if (congestionCount === 0) {
-    return 1.0; // No congestion reports on this route
-  }
-  
-  const avgCongestion = totalCongestion / congestionCount;
-  
-  // Time multiplier based on congestion
-  // 1 (empty) = 1.0x (no change)
-  // 2 (light) = 1.1x (10% slower)
-  // 3 (moderate) = 1.25x (25% slower)
-  // 4 (busy) = 1.5x (50% slower)
-  // 5 (packed) = 2.0x (100% slower - twice as long)
-  
-  const multiplier = 1 + (avgCongestion - 1) * 0.25;
-  
-  return multiplier;
-};
-
-const calculateSmoothnessScore = (route, reports) => {
-  if (!reports || reports.length === 0) {
-    return 5.0;
-  }
-  const polyline = route.overview_polyline.points;
-  const coordinates = decodePolyline(polyline);
+// Smoothness rating 1-5 along a route; stale or disputed ratings fade back towards a perfect 5
+const calculateSmoothnessScore = (hazards) => {
+  let weightedRoughness = 0;
+  let totalWeight = 0;
   
-  let totalRating = 0;
-  let ratingCount = 0;
-  
-  reports.forEach(report => {
+  hazards.forEach(report => {
     if (report.type === 'smoothness' && report.rating) {
-      const nearRoute = isPointNearPolyline(
-        { lat: report.lat, lng: report.lng },
-        coordinates,
-        0.05
-      );
+      const weight = report.confidence;
       
-      if (nearRoute) {
-        totalRating += report.rating;
-        ratingCount++;
-      }
+      weightedRoughness += (5 - report.rating) * weight;
+      totalWeight += weight;
     }
   });
   
-  return ratingCount > 0 ? totalRating / ratingCount : 5.0;
-};
-
-const isRouteBlocked = (route, reports) => {
-  if (!reports || reports.length === 0) {
-    return false;
-  }
-  
-  const polyline = route.overview_polyline.points;
-  const coordinates = decodePolyline(polyline);
-  
-  for (const report of reports) {
-    if (report.type === 'construction' || report.type === 'blocked') {
-      const nearRoute = isPointNearPolyline(
-        { lat: report.lat, lng: report.lng },
-        coordinates,
-        0.05
-      );
-      
-      if (nearRoute) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
+  return totalWeight > 0 ? 5 - weightedRoughness / Math.max(totalWeight, 1) : 5.0;
 };
 
-function decodePolyline(encoded) {
-  if (!encoded) return [];
-  
-  let points = [];
-  let index = 0, len = encoded.length;
-  let lat = 0, lng = 0;
-  
-  while (index < len) {
-    let b, shift = 0, result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    let dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lat += dlat;
-    
-    shift = 0;
-    result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    let dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lng += dlng;
-    
-    points.push([lat / 1e5, lng / 1e5]);
-  }
-  
-  return points;
-}
-
-function isPointNearPolyline(point, polylinePoints, thresholdKm) {
-  for (let i = 0; i < polylinePoints.length - 1; i++) {
-    const [lat1, lng1] = polylinePoints[i];
-    const [lat2, lng2] = polylinePoints[i + 1];
-    
-    const distance = distanceToSegment(
-      point.lat, point.lng,
-      lat1, lng1,
-      lat2, lng2
-    );
-    
-    if (distance < thresholdKm) {
-      return true;
-    }
-  }
-  return false;
-}
-
-function distanceToSegment(px, py, x1, y1, x2, y2) {
-  const A = px - x1;
-  const B = py - y1;
-  const C = x2 - x1;
-  const D = y2 - y1;
-  const dot = A * C + B * D;
-  const lenSq = C * C + D * D;
-  let param = -1;
-  
-  if (lenSq !== 0) {
-    param = dot / lenSq;
-  }
-  
-  let xx, yy;
-  if (param < 0) {
-    xx = x1;
-    yy = y1;
-  } else if (param > 1) {
-    xx = x2;
-    yy = y2;
-  } else {
-    xx = x1 + param * C;
-    yy = y1 + param * D;
-  }
-  
-  return calculateDistance(px, py, xx, yy);
-}
-
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
-const calculateRoughness = (route, reports) => {
-  let totalSteps = 0;
-  route.legs.forEach((leg) => {
-    totalSteps += leg.steps.length;
-  });
-  
-  const baseRoughness = totalSteps * Math.random() * 0.5;
-  const smoothnessScore = calculateSmoothnessScore(route, reports);
-  const roughnessFromReports = (5 - smoothnessScore) * 2;
-  
-  return baseRoughness + roughnessFromReports;
-};
+// Only blocked/construction clusters that enough riders stand behind close a route
+const isRouteBlocked = (hazards) => hazards.some(isBlocking);
 
-const calculateSkateboardTime = (route) => {
-  const distanceKm = route.legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000;
-  return (distanceKm / SKATEBOARD_SPEED_KMH) * 60;
-};
+// Blocked/construction clusters too unsure to block still count against a route, by confidence
+const calculateHazardRisk = (hazards) => hazards
+  .filter(hazard => isBlockingType(hazard.type) && !isBlocking(hazard))
+  .reduce((sum, hazard) => sum + hazard.confidence, 0);
 
-const geocodeAddress = async (address) => {
+const geocodeAddress = async (address, provider) => {
   try {
-    const response = await googleMapsClient.geocode({
-      params: {
-        address: address,
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      },
-    });
-    
-    if (response.data.results.length === 0) {
-      throw new Error(`Could not geocode address: ${address}`);
-    }
-    
-    return response.data.results[0].geometry.location;
+    return await provider.geocode(address);
   } catch (error) {
     console.error('Geocoding error:', error.message);
     throw error;
@@ -470,72 +204,113 @@ const calculateDiagonalWaypoints = (startCoords, endCoords) => {
 // ROUTE FETCHING FUNCTIONS
 // ============================================================================
 
-const getRouteWithMetrics = async (start, end, reports) => {
+/**
+ * Decode a route's geometry once and compute every metric from it.
+ * options.reportIndex is a spatial index (see spatialIndex.js) of the reports
+ * to match against the route; only the types options.profile cares about count,
+ * and nearby reports of the same thing are clustered (see clusters.js) first.
+ * options.profile is the vehicle profile (see profiles.js) that sets speeds and calories.
+ * options.zones are the campus zones (see zones.js) the route is checked against.
+ * options.departAt / options.arriveBy (ms) set when the ride happens, for the
+ * congestion expected along the way (see congestion.js); the default is now.
+ * options.conditions are the weather conditions (see weather.js); the profile
+ * comes already adjusted for them.
+ */
+const calculateRouteMetrics = async (route, { provider, reportIndex, profile, zones, departAt, arriveBy, conditions }) => {
+  const now = Date.now();
+  const polyline = route.overview_polyline.points;
+  const coordinates = decodePolyline(polyline);
+  const nearbyReports = profiles.relevantReports(profile, reportIndex.nearPolyline(coordinates, REPORT_MATCH_RADIUS_M));
+  const hazards = clusterReports(nearbyReports, now);
+  
+  const distance = route.legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000;
+  const walkingTime = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0) / 60;
+  const numTurns = countTurns(route);
+  const { roughness, segments: roughnessSegments } = calculateRouteRoughness(route, hazards);
+  const blocked = isRouteBlocked(hazards);
+  const hazardRisk = calculateHazardRisk(hazards);
+  const smoothnessScore = calculateSmoothnessScore(hazards);
+  const zoneStretches = zoneStore.measureZones(coordinates, zones);
+  const noEntry = zoneStretches.some(({ zone }) => zone.kind === 'no-entry');
+  
+  // Get elevation profile along the whole route
+  const elevation = await calculateElevationProfile(coordinates, provider);
+  const weatherImpact = weather.assessWeather(route, { conditions, hazards, elevation });
+  
+  // Hills and rough pavement set the pace, dismount and slow zones hold it down, and
+  // congestion slows it further - as expected when the rider gets to each stretch
+  const ridingTime = profiles.calculateTravelTime(profile, distance, elevation, roughness);
+  const zoneDelay = zoneStore.calculateZoneDelay(zoneStretches, ridingTime, distance);
+  const baseTravelTime = ridingTime + zoneDelay;
+  const timing = congestion.timeRoute(coordinates, baseTravelTime, {
+    departAt,
+    arriveBy,
+    reports: nearbyReports.filter(report => report.type === 'congestion'),
+  });
+  const congestionMultiplier = timing.multiplier;
+  const travelTime = timing.travelTime;
+  const hasCongestion = congestionMultiplier >= 1.01; // less than 1% isn't worth a warning
+  
+  const calories = profiles.calculateCalories(profile, distance, travelTime, elevation);
+  
+  const instructions = buildInstructions(route, { elevation, hazards, roughnessSegments, travelTime, zones, conditions });
+  
+  return {
+    distance,
+    walkingTime,
+    travelTime,
+    baseTravelTime,
+    congestionMultiplier,
+    hasCongestion,
+    congestionSegments: timing.segments,
+    departAt: timing.departAt,
+    arriveAt: timing.arriveAt,
+    numTurns,
+    roughness,
+    roughnessSegments,
+    smoothnessScore,
+    blocked,
+    hazardRisk,
+    slipRisk: weatherImpact.slipRisk,
+    weather: weatherImpact,
+    hazards: hazards.filter(hazard => isBlockingType(hazard.type)),
+    zones: zoneStretches.map(({ zone, meters }) => ({ id: zone.id, name: zone.name, kind: zone.kind, meters })),
+    zoneDelay,
+    noEntry,
+    polyline,
+    route,
+    elevation,
+    calories,
+    instructions,
+  };
+};
+
+const getRouteWithMetrics = async (start, end, reports, options) => {
   try {
-    const response = await googleMapsClient.directions({
-      params: {
-        origin: start,
-        destination: end,
-        mode: 'walking',
-        key: process.env.GOOGLE_MAPS_API_KEY,
-        alternatives: true,
-      },
+    const data = await options.provider.directions({
+      origin: start,
+      destination: end,
+      alternatives: true,
+      mode: options.profile.travelMode,
+      reports,
+      profile: options.profile,
+      zones: options.zones,
+      weather: options.conditions,
     });
     
-    if (response.data.status !== 'OK') {
-      throw new Error(`Directions API error: ${response.data.status}`);
+    if (data.status !== 'OK') {
+      throw new Error(`Directions API error: ${data.status}`);
     }
     
-    const routes = response.data.routes;
+    const routes = data.routes;
     console.log(`Found ${routes.length} alternative route(s)`);
     
-    const routeMetrics = await Promise.all(routes.map(async (route, index) => {
-      const distance = route.legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000;
-      const walkingTime = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0) / 60;
-      const numTurns = countTurns(route);
-      const roughness = calculateRoughness(route, reports);
-      const baseSkateTime = calculateSkateboardTime(route);
-      const blocked = isRouteBlocked(route, reports);
-      const smoothnessScore = calculateSmoothnessScore(route, reports);
-      
-      // Get congestion adjustment
-      const congestionMultiplier = calculateCongestionTimeAdjustment(route, reports);
-      const skateTime = baseSkateTime * congestionMultiplier;
-      const hasCongestion = congestionMultiplier > 1.0;
-      
-      // Get elevation difference
-      const polyline = route.overview_polyline.points;
-      const coordinates = decodePolyline(polyline);
-      const startCoord = coordinates[0];
-      const endCoord = coordinates[coordinates.length - 1];
-      
-      const elevation = await calculateElevationDifference(
-        startCoord[0], startCoord[1],
-        endCoord[0], endCoord[1]
-      );
-      
-      const calories = calculateCalories(distance, skateTime, elevation);
-      
-      return {
-        index,
-        distance,
-        walkingTime,
-        skateTime,
-        baseSkateTime,
-        congestionMultiplier,
-        hasCongestion,
-        numTurns,
-        roughness,
-        smoothnessScore,
-        blocked,
-        polyline,
-        route,
-        type: 'regular',
-        description: `Regular route ${index}`,
-        elevation,
-        calories,
-      };
-    }));
+    const routeMetrics = await Promise.all(routes.map(async (route, index) => ({
+      index,
+      ...(await calculateRouteMetrics(route, options)),
+      type: 'regular',
+      description: `Regular route ${index}`,
+    })));
     
     return routeMetrics;
   } catch (error) {
@@ -544,72 +319,32 @@ const getRouteWithMetrics = async (start, end, reports) => {
   }
 };
 
-const getRouteWithWaypoint = async (start, end, waypoint, description, index, reports) => {
+const getRouteWithWaypoint = async (start, end, waypoint, description, index, reports, options) => {
   try {
-    const response = await googleMapsClient.directions({
-      params: {
-        origin: start,
-        destination: end,
-        waypoints: [`${waypoint.lat},${waypoint.lng}`],
-        mode: 'walking',
-        key: process.env.GOOGLE_MAPS_API_KEY,
-        optimize: false,
-      },
+    const data = await options.provider.directions({
+      origin: start,
+      destination: end,
+      waypoints: [`${waypoint.lat},${waypoint.lng}`],
+      mode: options.profile.travelMode,
+      reports,
+      profile: options.profile,
+      zones: options.zones,
+      weather: options.conditions,
     });
     
-    if (response.data.status !== 'OK') {
+    if (data.status !== 'OK') {
       return null;
     }
     
-    const route = response.data.routes[0];
-    const numTurns = countTurns(route);
-    const distance = route.legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000;
-    const duration = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0) / 60;
-    const baseSkateTime = calculateSkateboardTime(route);
-    
-    // Get congestion adjustment
-    const congestionMultiplier = calculateCongestionTimeAdjustment(route, reports);
-    const skateTime = baseSkateTime * congestionMultiplier;
-    const hasCongestion = congestionMultiplier > 1.0;
-    
-    const roughness = calculateRoughness(route, reports);
-    const walkingTime = duration;
-    const blocked = isRouteBlocked(route, reports);
-    const smoothnessScore = calculateSmoothnessScore(route, reports);
-    
-    // Get elevation difference
-    const polyline = route.overview_polyline.points;
-    const coordinates = decodePolyline(polyline);
-    const startCoord = coordinates[0];
-    const endCoord = coordinates[coordinates.length - 1];
-    
-    const elevation = await calculateElevationDifference(
-      startCoord[0], startCoord[1],
-      endCoord[0], endCoord[1]
-    );
-    
-    const calories = calculateCalories(distance, skateTime, elevation);
+    const metrics = await calculateRouteMetrics(data.routes[0], options);
     
     return {
       index,
       waypoint,
       description,
-      route,
-      numTurns,
-      distance,
-      walkingTime,
-      duration,
-      skateTime,
-      baseSkateTime,
-      congestionMultiplier,
-      hasCongestion,
-      roughness,
-      smoothnessScore,
-      blocked,
-      polyline,
+      ...metrics,
+      duration: metrics.walkingTime,
       type: 'waypoint',
-      elevation,
-      calories,
     };
   } catch (error) {
     console.error('Error with waypoint route:', error.message);
@@ -617,12 +352,12 @@ const getRouteWithWaypoint = async (start, end, waypoint, description, index, re
   }
 };
 
-const getAllWaypointRoutes = async (start, end, reports) => {
+const getAllWaypointRoutes = async (start, end, reports, options) => {
   try {
     console.log('  Calculating waypoint routes...');
     
-    const startCoords = await geocodeAddress(start);
-    const endCoords = await geocodeAddress(end);
+    const startCoords = await geocodeAddress(start, options.provider);
+    const endCoords = await geocodeAddress(end, options.provider);
     
     const rightAngleWaypoints = calculateRightAngleWaypoints(startCoords, endCoords);
     const diagonalWaypoints = calculateDiagonalWaypoints(startCoords, endCoords);
@@ -637,7 +372,8 @@ const getAllWaypointRoutes = async (start, end, reports) => {
         { lat: waypointConfig.lat, lng: waypointConfig.lng },
         waypointConfig.description,
         -(idx + 1),
-        reports
+        reports,
+        options
       );
     });
     
@@ -653,15 +389,19 @@ const getAllWaypointRoutes = async (start, end, reports) => {
   }
 };
 
-const getAllRoutes = async (start, end, reports) => {
+const getAllRoutes = async (start, end, reports, options) => {
   try {
     console.log('🔍 Fetching all route options...\n');
     
     console.log('📍 Fetching regular routes...');
-    const regularRoutes = await getRouteWithMetrics(start, end, reports);
+    const regularRoutes = await getRouteWithMetrics(start, end, reports, options);
     
-    console.log('🎯 Fetching waypoint routes...');
-    const waypointRoutes = await getAllWaypointRoutes(start, end, reports);
+    // Reroutes during a ride skip the waypoint variants to answer quickly
+    let waypointRoutes = [];
+    if (options.waypointVariants !== false) {
+      console.log('🎯 Fetching waypoint routes...');
+      waypointRoutes = await getAllWaypointRoutes(start, end, reports, options);
+    }
     
     const allRoutes = [...regularRoutes, ...waypointRoutes];
     
@@ -679,37 +419,53 @@ const getAllRoutes = async (start, end, reports) => {
 // ROUTE ANALYSIS FUNCTIONS
 // ============================================================================
 
-const findOptimalPaths = async (start, end, reports) => {
-  const allRoutes = await getAllRoutes(start, end, reports);
+// The fixed categories are rankings with a single, built-in set of weights
+const CATEGORY_WEIGHTS = {
+  shortestPath: { time: 1 },
+  safestPath: { turns: 1 },
+  smoothestPath: { smoothness: 1 },
+  balancedPath: { turns: 1, smoothness: 1 },
+};
+
+/**
+ * Fetch every candidate route, pick the best one per category and rank them
+ * all by the caller's weights.
+ * options.provider is the routing provider (see routing.js) to ask for routes.
+ * options.reportIndex is a spatial index of the reports; built from reports if missing.
+ * options.profile is the vehicle profile; defaults to the skateboard.
+ * options.weights are the ranking weights (see ranking.js); defaults to ranking.DEFAULT_WEIGHTS.
+ * options.waypointVariants: false skips the waypoint detours and only asks the provider.
+ * options.zones are the campus zones; candidates through a no-entry zone are dropped.
+ * options.departAt / options.arriveBy (ms) time each candidate; see calculateRouteMetrics.
+ * options.conditions are the weather conditions, for the provider and the metrics.
+ */
+const findOptimalPaths = async (start, end, reports, options) => {
+  const candidates = await getAllRoutes(start, end, reports, {
+    ...options,
+    reportIndex: options.reportIndex || indexItems(reports),
+    profile: options.profile || profiles.getProfile(),
+    zones: options.zones || [],
+  });
   
-  if (allRoutes.length === 0) {
+  if (candidates.length === 0) {
     return { error: 'No routes found' };
   }
   
+  const allRoutes = candidates.filter(route => !route.noEntry);
+  if (allRoutes.length < candidates.length) {
+    console.log(`⛔ Dropped ${candidates.length - allRoutes.length} route(s) through no-entry zones`);
+  }
+  if (allRoutes.length === 0) {
+    return { error: 'Every route passes through a no-entry zone' };
+  }
+  
   const availableRoutes = allRoutes.filter(route => !route.blocked);
   const routesToConsider = availableRoutes.length > 0 ? availableRoutes : allRoutes;
   
-  const shortestPath = routesToConsider.reduce((min, route) => 
-    route.skateTime < min.skateTime ? route : min, routesToConsider[0]);
-  
-  const safestPath = routesToConsider.reduce((min, route) => 
-    route.numTurns < min.numTurns ? route : min, routesToConsider[0]);
-  
-  const smoothestPath = routesToConsider.reduce((best, route) => {
-    const currentScore = route.smoothnessScore - (route.roughness / 10);
-    const bestScore = best.smoothnessScore - (best.roughness / 10);
-    return currentScore > bestScore ? route : best;
-  }, routesToConsider[0]);
-  
-  const maxTurns = Math.max(...routesToConsider.map(r => r.numTurns), 1);
-  const maxRoughness = Math.max(...routesToConsider.map(r => r.roughness), 1);
-  
-  const balancedPath = routesToConsider.reduce((min, route) => {
-    const normalizedScore = (route.numTurns / maxTurns + route.roughness / maxRoughness) / 2;
-    return normalizedScore < (min.normalizedScore || Infinity) 
-      ? { ...route, normalizedScore }
-      : min;
-  }, { normalizedScore: Infinity });
+  const categories = {};
+  Object.entries(CATEGORY_WEIGHTS).forEach(([category, weights]) => {
+    categories[category] = ranking.rankRoutes(routesToConsider, weights)[0].route;
+  });
   
   const singleTurnRoutes = routesToConsider.filter(r => r.numTurns === 1);
   const singleTurnPath = singleTurnRoutes.length > 0
@@ -717,101 +473,777 @@ const findOptimalPaths = async (start, end, reports) => {
         route.distance < min.distance ? route : min, singleTurnRoutes[0])
     : null;
   
+  const ranked = ranking.rankRoutes(allRoutes, options.weights || ranking.DEFAULT_WEIGHTS);
+  
   return {
-    shortestPath,
-    safestPath,
-    smoothestPath,
-    balancedPath,
+    ...categories,
     singleTurnPath,
+    recommendedPath: { ...ranked[0].route, score: ranked[0].score, breakdown: ranked[0].breakdown },
+    ranking: ranked.map(({ route, rank, score, blocked, breakdown }) => ({
+      index: route.index,
+      description: route.description,
+      rank,
+      score,
+      blocked,
+      breakdown,
+    })),
     allRoutes,
   };
 };
 
+// The server's live reports plus the ones a client sent along, as { reportIndex, allReports }.
+// Client reports with an id the server handed out are copies of its own: live ones are
+// already counted and archived or deleted ones are over, so they're all skipped. The rest
+// are marked fromClient, which makes them count as a single reporter (see clusters.js).
+const collectReports = async (reports) => {
+  const lastId = await reportStore.lastIssuedId();
+  const clientReports = (reports || [])
+    .filter(r => !(r.id && r.id <= lastId))
+    .map(r => ({ ...r, fromClient: true }));
+  const reportIndex = combineIndexes(reportStore.spatialIndex, indexItems(clientReports));
+  return { reportIndex, allReports: reportIndex.all() };
+};
+
+/**
+ * The last few meters of a trip: the best rack near the destination for this
+ * vehicle (see pois.js) and the walk from it to the door. Returns
+ * { rack, distance (m), walkingTime (min), polyline }, or null when there's
+ * no rack close enough. The walk follows the provider's walking directions
+ * when it has them and a straight line otherwise (also when the provider snaps
+ * both ends to the same spot and comes back shorter than the straight line).
+ */
+const planLastMile = async (end, { provider, profile, zones, conditions }) => {
+  const destination = await geocodeAddress(end, provider);
+  const rack = await poiStore.findParking(destination, profile.rackTypes);
+  if (!rack) {
+    return null;
+  }
+  
+  const walker = weather.adjustProfile(profiles.getProfile('walking'), conditions);
+  let distance = rack.distance;
+  let polyline = encodePolyline([[rack.lat, rack.lng], [destination.lat, destination.lng]]);
+  try {
+    const data = await provider.directions({
+      origin: `${rack.lat},${rack.lng}`,
+      destination: end,
+      mode: walker.travelMode,
+      profile: walker,
+      zones,
+      weather: conditions,
+    });
+    const walk = data.status === 'OK' ? data.routes[0] : null;
+    const walkDistance = walk ? walk.legs.reduce((sum, leg) => sum + leg.distance.value, 0) : 0;
+    if (walkDistance >= distance) {
+      distance = walkDistance;
+      polyline = walk.overview_polyline.points;
+    }
+  } catch (error) {
+    console.error('Walking directions from rack failed, using a straight line:', error.message);
+  }
+  
+  return {
+    rack,
+    distance: Math.round(distance),
+    walkingTime: profiles.calculateTravelTime(walker, distance / 1000),
+    polyline,
+  };
+};
+
+/**
+ * Find, rank and clean the routes between two places and remember the result
+ * so it can be exported or navigated later. Returns the response body for
+ * POST /api/routes, or { error } when nothing was found.
+ * options: { provider, profile, weights, waypointVariants } (see findOptimalPaths),
+ * plus parking: end the ride at a rack near the destination and walk the rest
+ * (see planLastMile). Each route then carries the walk as `lastMile` and its
+ * travelTime includes it. departAt / arriveBy (ms) say when the trip starts or
+ * must be over; without either it starts now. conditions: the weather to ride
+ * in (see weather.resolveConditions); the weather provider's when missing.
+ */
+const planRoutes = async (start, end, reports, { provider, profile, weights, waypointVariants, parking, departAt, arriveBy, conditions }) => {
+  const { reportIndex, allReports } = await collectReports(reports);
+  const zones = zoneStore.liveZones();
+  const ridingConditions = conditions || await weather.resolveConditions();
+  const ridingProfile = weather.adjustProfile(profile, ridingConditions);
+  
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`🛹 Finding routes from:`);
+  console.log(`   Start: ${start}`);
+  console.log(`   End: ${end}`);
+  console.log(`   Active reports: ${allReports.length}`);
+  console.log(`   Zones: ${zones.length}`);
+  console.log(`   Routing provider: ${provider.name}`);
+  console.log(`   Vehicle: ${profile.icon} ${profile.label}`);
+  console.log(`   Weather: ${ridingConditions.icon} ${ridingConditions.label} (${ridingConditions.source})`);
+  if (arriveBy !== undefined) {
+    console.log(`   Arrive by: ${new Date(arriveBy).toLocaleString()}`);
+  } else if (departAt !== undefined) {
+    console.log(`   Depart at: ${new Date(departAt).toLocaleString()}`);
+  }
+  console.log('='.repeat(70));
+  
+  const wantsParking = parking && profile.rackTypes.length > 0;
+  const lastMile = wantsParking ? await planLastMile(end, { provider, profile, zones, conditions: ridingConditions }) : null;
+  if (lastMile) {
+    console.log(`🅿️  Parking at ${lastMile.rack.name} (${lastMile.rack.type}), ${lastMile.distance}m walk to ${end}`);
+  } else if (wantsParking) {
+    console.log(`🅿️  No ${profile.rackTypes.join('/')} near ${end}; riding to the door`);
+  }
+  const rideEnd = lastMile ? `${lastMile.rack.lat},${lastMile.rack.lng}` : end;
+  
+  // The ride has to be over in time for the walk from the rack
+  const rideArriveBy = arriveBy !== undefined && lastMile ? arriveBy - lastMile.walkingTime * MINUTE_MS : arriveBy;
+  
+  const paths = await findOptimalPaths(start, rideEnd, allReports, {
+    provider,
+    reportIndex,
+    profile: ridingProfile,
+    weights: weather.adjustWeights(weights, ridingConditions),
+    waypointVariants,
+    zones,
+    departAt,
+    arriveBy: rideArriveBy,
+    conditions: ridingConditions
+  });
+  
+  if (paths.error) {
+    return paths;
+  }
+  
+  console.log(`\n✅ Routes found successfully!`);
+  console.log(`   Shortest: ${paths.shortestPath.distance.toFixed(2)}km, ${paths.shortestPath.travelTime.toFixed(1)}min, ${paths.shortestPath.numTurns} turns, ${paths.shortestPath.calories}cal, ${paths.shortestPath.elevation.direction} ${paths.shortestPath.elevation.absDifference}m ${paths.shortestPath.blocked ? '⚠️ BLOCKED' : ''}`);
+  console.log(`   Safest: ${paths.safestPath.distance.toFixed(2)}km, ${paths.safestPath.travelTime.toFixed(1)}min, ${paths.safestPath.numTurns} turns, ${paths.safestPath.calories}cal, ${paths.safestPath.elevation.direction} ${paths.safestPath.elevation.absDifference}m ${paths.safestPath.blocked ? '⚠️ BLOCKED' : ''}`);
+  console.log(`   Smoothest: ${paths.smoothestPath.distance.toFixed(2)}km, ${paths.smoothestPath.travelTime.toFixed(1)}min, smoothness ${paths.smoothestPath.smoothnessScore.toFixed(1)}/5, ${paths.smoothestPath.calories}cal, ${paths.smoothestPath.elevation.direction} ${paths.smoothestPath.elevation.absDifference}m ${paths.smoothestPath.blocked ? '⚠️ BLOCKED' : ''}`);
+  console.log(`   Balanced: ${paths.balancedPath.distance.toFixed(2)}km, ${paths.balancedPath.travelTime.toFixed(1)}min, ${paths.balancedPath.numTurns} turns, ${paths.balancedPath.calories}cal, ${paths.balancedPath.elevation.direction} ${paths.balancedPath.elevation.absDifference}m ${paths.balancedPath.blocked ? '⚠️ BLOCKED' : ''}`);
+  if (paths.singleTurnPath) {
+    console.log(`   Single Turn: ${paths.singleTurnPath.distance.toFixed(2)}km, ${paths.singleTurnPath.travelTime.toFixed(1)}min, ${paths.singleTurnPath.numTurns} turn, ${paths.singleTurnPath.calories}cal, ${paths.singleTurnPath.elevation.direction} ${paths.singleTurnPath.elevation.absDifference}m ${paths.singleTurnPath.blocked ? '⚠️ BLOCKED' : '✅'}`);
+  }
+  console.log(`   Recommended: ${paths.recommendedPath.description}, score ${paths.recommendedPath.score.toFixed(2)}`);
+  console.log('='.repeat(70) + '\n');
+  
+  // The walk is the same for every candidate, so it's added after ranking
+  const finishRoute = (route) => cleanRoute(lastMile
+    ? {
+        ...route,
+        rideTime: route.travelTime,
+        travelTime: route.travelTime + lastMile.walkingTime,
+        arriveAt: new Date(Date.parse(route.arriveAt) + lastMile.walkingTime * MINUTE_MS).toISOString(),
+        lastMile
+      }
+    : route);
+  
+  const cleanPaths = {
+    id: randomUUID(),
+    profile: profiles.describeProfile(profile),
+    weather: weather.describeConditions(ridingConditions),
+    shortestPath: finishRoute(paths.shortestPath),
+    safestPath: finishRoute(paths.safestPath),
+    smoothestPath: finishRoute(paths.smoothestPath),
+    balancedPath: finishRoute(paths.balancedPath),
+    singleTurnPath: paths.singleTurnPath ? finishRoute(paths.singleTurnPath) : null,
+    recommendedPath: finishRoute(paths.recommendedPath),
+    weights,
+    ranking: paths.ranking,
+    lastMile,
+    allRoutes: paths.allRoutes.map(finishRoute)
+  };
+  
+  computedRoutes.set(cleanPaths.id, {
+    start,
+    end,
+    options: {
+      provider: provider.name,
+      profile: profile.name,
+      weights,
+      parking: Boolean(parking),
+      // Rerouting keeps weather the rider picked and asks the provider again otherwise
+      weather: ridingConditions.source === 'manual' ? ridingConditions.name : null
+    },
+    result: cleanPaths
+  });
+  
+  return cleanPaths;
+};
+
+// Quick estimate of the minutes from one stop to another, for ordering a trip's
+// stops: the provider's best route at the profile's flat-ground pace.
+const estimateLegMinutes = async (from, to, { provider, profile, allReports, zones }) => {
+  const data = await provider.directions({
+    origin: from,
+    destination: to,
+    mode: profile.travelMode,
+    reports: allReports,
+    profile,
+    zones,
+  });
+  if (data.status !== 'OK' || data.routes.length === 0) {
+    return Infinity;
+  }
+  const distance = data.routes[0].legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000;
+  return profiles.calculateTravelTime(profile, distance);
+};
+
+/**
+ * Plan a trip through several stops, one planRoutes call per leg, so every leg
+ * has its own route id for export and navigation. With optimizeOrder the stops
+ * between the first and the last are visited in the quickest order (see
+ * trips.optimizeStopOrder); when the provider can't estimate one of the legs
+ * they keep the given order and optimized is false. Each leg starts when the
+ * one before it gets in, the first at departAt (ms, default now). Returns the response body for
+ * POST /api/routes with stops, or { error } when a leg has no route.
+ */
+const planTrip = async (stops, reports, { provider, profile, weights, parking, optimizeOrder, departAt, conditions }) => {
+  let order = stops.map((stop, i) => i);
+  let optimized = Boolean(optimizeOrder);
+  if (optimizeOrder && stops.length > 3) {
+    const { allReports } = await collectReports(reports);
+    const zones = zoneStore.liveZones();
+    const cost = stops.map(() => stops.map(() => Infinity));
+    let failed = null;
+    await Promise.all(trips.orderingLegs(stops.length).map(async ([i, j]) => {
+      try {
+        cost[i][j] = await estimateLegMinutes(stops[i], stops[j], { provider, profile, allReports, zones });
+      } catch (error) {
+        failed = failed || `${stops[i]} → ${stops[j]}: ${error.message}`;
+      }
+    }));
+    if (failed) {
+      console.warn(`⚠️  Keeping the given stop order, could not estimate ${failed}`);
+      optimized = false;
+    } else {
+      order = trips.optimizeStopOrder(cost);
+      console.log(`🔢 Stop order: ${order.map(i => stops[i]).join(' → ')}`);
+    }
+  }
+  
+  const orderedStops = order.map(i => stops[i]);
+  const legs = [];
+  let legDepartAt = departAt;
+  for (let i = 0; i < orderedStops.length - 1; i++) {
+    const [from, to] = [orderedStops[i], orderedStops[i + 1]];
+    const result = await planRoutes(from, to, reports, { provider, profile, weights, parking, departAt: legDepartAt, conditions });
+    if (result.error) {
+      return { error: `No route from ${from} to ${to}: ${result.error}` };
+    }
+    legs.push({ index: i, from, to, routeId: result.id, route: result.recommendedPath });
+    legDepartAt = Date.parse(result.recommendedPath.arriveAt);
+  }
+  
+  return {
+    profile: profiles.describeProfile(profile),
+    weather: conditions ? weather.describeConditions(conditions) : undefined,
+    stops: orderedStops,
+    order,
+    optimized,
+    legs,
+    totals: trips.summarizeTrip(legs),
+  };
+};
+
+// Provider, vehicle profile, ranking weights and weather condition named in a request body, as
+// { options: { provider, profile, weights, weather } } or { error } (the body of a 400 response).
+// weather is null when the request leaves it to the weather provider.
+const parseRoutingOptions = ({ provider: providerName, profile: profileName, weights: requestedWeights, preset, weather: condition, reports: clientReports }) => {
+  if (providerName && !routing.listProviders().includes(providerName)) {
+    return { error: { error: `Unknown or unavailable routing provider: ${providerName}`, providers: routing.listProviders() } };
+  }
+  if (profileName && !profiles.listProfiles().includes(profileName)) {
+    return { error: { error: `Unknown vehicle profile: ${profileName}`, profiles: profiles.listProfiles() } };
+  }
+  if (condition && !weather.listConditions().includes(condition)) {
+    return { error: { error: `Unknown weather condition: ${condition}`, conditions: weather.listConditions() } };
+  }
+  if (preset && !ranking.PRESETS[preset]) {
+    return { error: { error: `Unknown ranking preset: ${preset}`, presets: Object.keys(ranking.PRESETS) } };
+  }
+  let weights = preset ? ranking.PRESETS[preset].weights : ranking.DEFAULT_WEIGHTS;
+  if (requestedWeights !== undefined) {
+    const checked = ranking.validateWeights(requestedWeights);
+    if (checked.error) {
+      return { error: { error: checked.error } };
+    }
+    weights = checked.weights;
+  }
+  const { reports, skipped, error: reportError } = reportSchema.validateClientReports(clientReports);
+  if (reportError) {
+    return { error: { error: reportError } };
+  }
+  
+  return {
+    options: {
+      provider: routing.getProvider(providerName || undefined),
+      profile: profiles.getProfile(profileName || undefined),
+      weights,
+      weather: condition || null,
+      reports,
+      skippedReports: skipped,
+    },
+  };
+};
+
+// When a trip should happen, from departAt or arriveBy in a request body (date-times
+// like 2026-09-14T09:00:00-05:00, at most one of them), as { timing } in ms or { error }
+const parseTiming = ({ departAt, arriveBy }) => {
+  if (departAt && arriveBy) {
+    return { error: 'Send either departAt or arriveBy, not both' };
+  }
+  const [name, value] = departAt ? ['departAt', departAt] : ['arriveBy', arriveBy];
+  if (!value) {
+    return { timing: {} };
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    return { error: `${name} must be a date and time like 2026-09-14T09:00:00-05:00` };
+  }
+  return { timing: { [name]: time } };
+};
+
+// One route of a stored result: a category (e.g. recommendedPath) or a candidate index
+const pickComputedRoute = (result, routeKey) => (/^-?\d+$/.test(String(routeKey))
+  ? result.allRoutes.find(r => r.index === Number(routeKey))
+  : result[routeKey]);
+
+// Log a route request in a logged-in rider's trip history; returns the entry's id.
+// result is a planRoutes result, or at least its { id, recommendedPath }.
+// History is a nicety, so a failure is logged and the routes go out anyway.
+const logRouteRequest = async (user, start, end, body, result) => {
+  try {
+    const entry = await tripHistory.logRequest({
+      start,
+      end,
+      options: placeStore.pickRouteOptions(body),
+      routeId: result.id,
+      recommended: tripHistory.routeMetrics(result.recommendedPath, 'recommendedPath')
+    }, user.id);
+    return entry.id;
+  } catch (error) {
+    console.error(`Error logging route request for ${user.username}:`, error.message);
+    return null;
+  }
+};
+
 // ============================================================================
 // API ENDPOINTS
 // ============================================================================
 
-app.post('/api/routes', async (req, res) => {
+// Routes from start to end, or a multi-stop trip when the body has
+// stops: [first, ..., last] (optimizeOrder reorders the ones in between).
+// departAt or arriveBy times the routes for the congestion expected then;
+// trips only take departAt. weather (dry, damp or wet) overrides the weather provider.
+// For a logged-in rider, start-to-end requests go in their trip history and
+// the response carries the entry's historyId (see POST /api/history/:id/choose);
+// each leg of a trip is an entry of its own, with its historyId on the leg.
+// Invalid reports sent along in reports are ignored and listed in skippedReports.
+app.post('/api/routes', auth.identify, routeLimiter.middleware, async (req, res) => {
     try {
-        const { start, end, reports } = req.body;
+        const { start, end, stops, optimizeOrder, parking } = req.body;
         
-        if (!start || !end) {
+        let tripStops = null;
+        if (stops !== undefined) {
+            if (start || end) {
+                return res.status(400).json({ error: 'Send either stops or start and end, not both' });
+            }
+            const checked = trips.validateStops(stops);
+            if (checked.error) {
+                return res.status(400).json({ error: checked.error });
+            }
+            tripStops = checked.stops;
+        } else if (!start || !end) {
             return res.status(400).json({ error: 'Start and end locations are required' });
         }
         
-        const allReports = [...globalReports, ...(reports || [])];
+        const { options, error } = parseRoutingOptions(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        const { provider, profile, weights, reports } = options;
+        // Client reports that failed validation were left out; say which
+        const notes = options.skippedReports.length ? { skippedReports: options.skippedReports } : {};
         
-        console.log(`\n${'='.repeat(70)}`);
-        console.log(`🛹 Finding routes from:`);
-        console.log(`   Start: ${start}`);
-        console.log(`   End: ${end}`);
-        console.log(`   Active reports: ${allReports.length}`);
-        console.log('='.repeat(70));
+        const { timing, error: timingError } = parseTiming(req.body);
+        if (timingError) {
+            return res.status(400).json({ error: timingError });
+        }
+        if (tripStops && timing.arriveBy !== undefined) {
+            return res.status(400).json({ error: 'Trips with stops take departAt, not arriveBy' });
+        }
+        // A trip is charged for each leg after the first, and ordering its stops for
+        // every leg some order could use
+        if (tripStops) {
+            const extra = tripStops.length - 2 + (optimizeOrder ? trips.orderingLegs(tripStops.length).length : 0);
+            if (!routeLimiter.consume(req, res, extra)) {
+                return;
+            }
+        }
         
-        const paths = await findOptimalPaths(start, end, allReports);
+        const conditions = await weather.resolveConditions(options.weather);
         
-        if (paths.error) {
-            return res.status(404).json(paths);
+        if (tripStops) {
+            const trip = await planTrip(tripStops, reports, {
+                provider,
+                profile,
+                weights,
+                parking: Boolean(parking),
+                optimizeOrder: Boolean(optimizeOrder),
+                departAt: timing.departAt,
+                conditions
+            });
+            
+            if (trip.error) {
+                return res.status(404).json(trip);
+            }
+            
+            console.log(`🗺️  Trip planned: ${trip.stops.length} stops, ${trip.totals.distance.toFixed(2)}km, ${trip.totals.travelTime}min`);
+            if (req.user) {
+                for (const leg of trip.legs) {
+                    leg.historyId = await logRouteRequest(req.user, leg.from, leg.to, req.body, { id: leg.routeId, recommendedPath: leg.route });
+                }
+            }
+            return res.json({ ...trip, ...notes });
         }
         
-        console.log(`\n✅ Routes found successfully!`);
-        console.log(`   Shortest: ${paths.shortestPath.distance.toFixed(2)}km, ${paths.shortestPath.skateTime.toFixed(1)}min, ${paths.shortestPath.numTurns} turns, ${paths.shortestPath.calories}cal, ${paths.shortestPath.elevation.direction} ${paths.shortestPath.elevation.absDifference}m ${paths.shortestPath.blocked ? '⚠️ BLOCKED' : ''}`);
-        console.log(`   Safest: ${paths.safestPath.distance.toFixed(2)}km, ${paths.safestPath.skateTime.toFixed(1)}min, ${paths.safestPath.numTurns} turns, ${paths.safestPath.calories}cal, ${paths.safestPath.elevation.direction} ${paths.safestPath.elevation.absDifference}m ${paths.safestPath.blocked ? '⚠️ BLOCKED' : ''}`);
-        console.log(`   Smoothest: ${paths.smoothestPath.distance.toFixed(2)}km, ${paths.smoothestPath.skateTime.toFixed(1)}min, smoothness ${paths.smoothestPath.smoothnessScore.toFixed(1)}/5, ${paths.smoothestPath.calories}cal, ${paths.smoothestPath.elevation.direction} ${paths.smoothestPath.elevation.absDifference}m ${paths.smoothestPath.blocked ? '⚠️ BLOCKED' : ''}`);
-        console.log(`   Balanced: ${paths.balancedPath.distance.toFixed(2)}km, ${paths.balancedPath.skateTime.toFixed(1)}min, ${paths.balancedPath.numTurns} turns, ${paths.balancedPath.calories}cal, ${paths.balancedPath.elevation.direction} ${paths.balancedPath.elevation.absDifference}m ${paths.balancedPath.blocked ? '⚠️ BLOCKED' : ''}`);
-        if (paths.singleTurnPath) {
-            console.log(`   Single Turn: ${paths.singleTurnPath.distance.toFixed(2)}km, ${paths.singleTurnPath.skateTime.toFixed(1)}min, ${paths.singleTurnPath.numTurns} turn, ${paths.singleTurnPath.calories}cal, ${paths.singleTurnPath.elevation.direction} ${paths.singleTurnPath.elevation.absDifference}m ${paths.singleTurnPath.blocked ? '⚠️ BLOCKED' : '✅'}`);
+        const cleanPaths = await planRoutes(start, end, reports, {
+            provider,
+            profile,
+            weights,
+            parking: Boolean(parking),
+            ...timing,
+            conditions
+        });
+        
+        if (cleanPaths.error) {
+            return res.status(404).json(cleanPaths);
         }
-        console.log('='.repeat(70) + '\n');
         
-        const cleanPaths = {
-            shortestPath: cleanRoute(paths.shortestPath),
-            safestPath: cleanRoute(paths.safestPath),
-            smoothestPath: cleanRoute(paths.smoothestPath),
-            balancedPath: cleanRoute(paths.balancedPath),
-            singleTurnPath: paths.singleTurnPath ? cleanRoute(paths.singleTurnPath) : null,
-            allRoutes: paths.allRoutes.map(cleanRoute)
-        };
+        if (req.user) {
+            return res.json({ ...cleanPaths, ...notes, historyId: await logRouteRequest(req.user, start, end, req.body, cleanPaths) });
+        }
         
-        res.json(cleanPaths);
+        res.json({ ...cleanPaths, ...notes });
     } catch (error) {
         console.error('❌ Error:', error.message);
         res.status(500).json({ error: 'Internal server error', message: error.message });
     }
 });
 
-app.post('/api/reports', (req, res) => {
+// Export one route of an earlier /api/routes result.
+// ?route= is a category (e.g. recommendedPath) or a candidate index; ?format= is gpx or geojson
+app.get('/api/routes/:id/export', async (req, res) => {
     try {
-        const report = req.body;
+        const { route: routeKey = 'recommendedPath', format = 'geojson' } = req.query;
+        
+        if (!['gpx', 'geojson'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be gpx or geojson' });
+        }
+        
+        const computed = await computedRoutes.get(req.params.id);
+        if (!computed) {
+            return res.status(404).json({ error: 'Route result not found or expired; request the routes again' });
+        }
+        
+        const { result, start, end } = computed;
+        const route = pickComputedRoute(result, routeKey);
         
-        if (!report.lat || !report.lng || !report.type) {
-            return res.status(400).json({ error: 'Invalid report data' });
+        if (!route || !route.polyline) {
+            return res.status(404).json({ error: `No route ${routeKey} in this result` });
         }
         
-        globalReports.push(report);
+        const meta = { name: `${start} to ${end}`, start, end, profile: result.profile.name };
+        const filename = `skate-scout-${routeKey}`;
         
-        console.log(`📍 New report received: ${report.type} at (${report.lat.toFixed(4)}, ${report.lng.toFixed(4)})`);
+        if (format === 'gpx') {
+            res.type('application/gpx+xml');
+            res.attachment(`${filename}.gpx`);
+            return res.send(formats.routeToGpx(route, meta));
+        }
         
-        res.json({ success: true, report });
+        res.type('application/geo+json');
+        res.attachment(`${filename}.geojson`);
+        res.send(JSON.stringify(formats.routeToGeoJSON(route, meta), null, 2));
     } catch (error) {
-        console.error('Error saving report:', error);
-        res.status(500).json({ error: 'Failed to save report' });
+        console.error('Error exporting route:', error);
+        res.status(500).json({ error: 'Failed to export route' });
     }
 });
 
-app.delete('/api/reports/:id', (req, res) => {
-    try {
+// ============================================================================
+// LIVE NAVIGATION
+// ============================================================================
+
+const isPosition = (position) => Boolean(position) &&
+    typeof position.lat === 'number' && typeof position.lng === 'number' &&
+    Math.abs(position.lat) <= 90 && Math.abs(position.lng) <= 180;
+
+// Where the rider is along one route of an earlier /api/routes result.
+// Body: { routeId, route: category or candidate index (default recommendedPath), position: { lat, lng } }
+app.post('/api/navigation/progress', async (req, res) => {
+    try {
+        const { routeId, route: routeKey = 'recommendedPath', position } = req.body;
+        
+        if (!isPosition(position)) {
+            return res.status(400).json({ error: 'Position must be { lat, lng }' });
+        }
+        
+        const computed = await computedRoutes.get(routeId);
+        if (!computed) {
+            return res.status(404).json({ error: 'Route result not found or expired; request the routes again' });
+        }
+        
+        const route = pickComputedRoute(computed.result, routeKey);
+        if (!route || !route.polyline) {
+            return res.status(404).json({ error: `No route ${routeKey} in this result` });
+        }
+        
+        const profile = profiles.getProfile(computed.options.profile);
+        const reports = profiles.relevantReports(
+            profile,
+            reportStore.spatialIndex.nearPolyline(decodePolyline(route.polyline), REPORT_MATCH_RADIUS_M)
+        );
+        
+        res.json(navigation.trackProgress(route, position, { reports }));
+    } catch (error) {
+        console.error('Error tracking progress:', error);
+        res.status(500).json({ error: 'Failed to track progress' });
+    }
+});
+
+// New routes from the rider's position to the original destination, with the
+// same provider, vehicle and weights. Same response as POST /api/routes.
+app.post('/api/navigation/reroute', auth.identify, routeLimiter.middleware, async (req, res) => {
+    try {
+        const { routeId, position } = req.body;
+        
+        if (!isPosition(position)) {
+            return res.status(400).json({ error: 'Position must be { lat, lng }' });
+        }
+        
+        const computed = await computedRoutes.get(routeId);
+        if (!computed) {
+            return res.status(404).json({ error: 'Route result not found or expired; request the routes again' });
+        }
+        
+        const { end, options } = computed;
+        console.log(`🔀 Rerouting from ${position.lat.toFixed(5)},${position.lng.toFixed(5)} to ${end}`);
+        
+        const cleanPaths = await planRoutes(`${position.lat},${position.lng}`, end, [], {
+            provider: routing.getProvider(options.provider),
+            profile: profiles.getProfile(options.profile),
+            weights: options.weights,
+            waypointVariants: false,
+            parking: options.parking,
+            conditions: await weather.resolveConditions(options.weather)
+        });
+        
+        if (cleanPaths.error) {
+            return res.status(404).json(cleanPaths);
+        }
+        
+        res.json({ ...cleanPaths, reroutedFrom: routeId });
+    } catch (error) {
+        console.error('❌ Error rerouting:', error.message);
+        res.status(500).json({ error: 'Failed to reroute', message: error.message });
+    }
+});
+
+// ============================================================================
+// SCHEDULE PLANNER
+// ============================================================================
+
+/**
+ * Route every passing period of a day of classes (see schedule.js) and check
+ * it fits. Each transition gets the recommended route between the two
+ * buildings, its timing including rack walks, locking and dismount zones,
+ * whether that fits in the gap, and alternatives that still fit: a less
+ * congested or smoother route, or the quickest one when the pick doesn't fit.
+ * Rides are timed for the congestion expected when each class lets out on date
+ * ("YYYY-MM-DD"). options: { provider, profile, weights, parking, conditions } as for planRoutes.
+ */
+const planSchedule = async (classes, reports, { provider, profile, weights, parking, date, conditions }) => {
+  const zones = zoneStore.liveZones();
+  const parks = parking && profile.rackTypes.length > 0;
+  const transitions = [];
+  // Walk from the building the rider is in to wherever they left their vehicle; null when not at a rack
+  let originWalk = null;
+  
+  for (let i = 0; i < classes.length - 1; i++) {
+    const [from, to] = [classes[i], classes[i + 1]];
+    const availableMinutes = schedule.passingPeriod(from, to);
+    const transition = {
+      index: i,
+      from: { name: from.name, building: from.building, end: from.end },
+      to: { name: to.name, building: to.building, start: to.start },
+      availableMinutes,
+    };
+    
+    if (schedule.sameBuilding(from, to)) {
+      transitions.push({ ...transition, sameBuilding: true, slack: availableMinutes, feasible: true, tight: false, alternatives: [] });
+      continue;
+    }
+    
+    if (parks && originWalk === null) {
+      const rack = await planLastMile(from.building, { provider, profile, zones, conditions });
+      originWalk = rack ? rack.walkingTime : null;
+    }
+    
+    const departAt = schedule.dateTime(date, from.end) + (originWalk ?? 0) * MINUTE_MS;
+    const result = await planRoutes(from.building, to.building, reports, { provider, profile, weights, parking: parks, departAt, conditions });
+    if (result.error) {
+      transitions.push({ ...transition, error: result.error, feasible: false, tight: false, alternatives: [] });
+      originWalk = null;
+      continue;
+    }
+    
+    const route = result.recommendedPath;
+    const timing = schedule.transitionTiming(route, { originWalk });
+    const assessment = schedule.assessTransition(timing.total, availableMinutes);
+    
+    const candidates = result.allRoutes
+      .filter(candidate => !candidate.blocked && candidate.index !== route.index)
+      .map((candidate) => {
+        const { total } = schedule.transitionTiming(candidate, { originWalk });
+        return { route: candidate, total, ...schedule.assessTransition(total, availableMinutes) };
+      });
+    const fitting = candidates.filter(candidate => candidate.feasible);
+    const best = (list, better) => list.reduce((a, b) => (a && !better(b, a) ? a : b), null);
+    const alternatives = [
+      ['less-congested', 'Less congested', best(
+        fitting.filter(c => c.route.congestionMultiplier < route.congestionMultiplier),
+        (a, b) => a.route.congestionMultiplier < b.route.congestionMultiplier
+      )],
+      ['smoother', 'Smoother', best(
+        fitting.filter(c => c.route.smoothnessScore > route.smoothnessScore),
+        (a, b) => a.route.smoothnessScore > b.route.smoothnessScore
+      )],
+      ['quickest', 'Quickest', assessment.feasible ? null : best(
+        candidates.filter(c => c.total < timing.total),
+        (a, b) => a.total < b.total
+      )],
+    ]
+      .filter(([, , candidate]) => candidate)
+      .map(([reason, label, candidate]) => ({
+        reason,
+        label,
+        index: candidate.route.index,
+        description: candidate.route.description,
+        total: candidate.total,
+        slack: candidate.slack,
+        feasible: candidate.feasible,
+        congestionMultiplier: candidate.route.congestionMultiplier,
+        smoothnessScore: candidate.route.smoothnessScore,
+      }));
+    
+    transitions.push({ ...transition, routeId: result.id, route, timing, ...assessment, alternatives });
+    originWalk = route.lastMile ? route.lastMile.walkingTime : null;
+  }
+  
+  return {
+    profile: profiles.describeProfile(profile),
+    weather: weather.describeConditions(conditions),
+    parking: parks,
+    classes,
+    transitions,
+    summary: {
+      transitions: transitions.length,
+      feasible: transitions.filter(t => t.feasible).length,
+      infeasible: transitions.filter(t => !t.feasible).map(t => t.index),
+      tight: transitions.filter(t => t.tight).map(t => t.index),
+    },
+  };
+};
+
+// Plan a day of classes. Body: { classes: [{ name, building, start: "09:10", end: "10:00" }] }
+// or { ics: "<calendar text>" }, with the date: "2026-09-14" (today by default), plus the
+// provider, profile, preset/weights, weather and parking options of POST /api/routes.
+// An .ics file can also be posted as-is with Content-Type text/calendar and the
+// options in the query string, e.g. ?date=2026-09-14&profile=bike&parking=true.
+// For a logged-in rider, every routed passing period goes in their trip history,
+// with its historyId on the transition.
+app.post('/api/schedule/plan', auth.identify, routeLimiter.middleware, express.text({ type: 'text/calendar', limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? { ...req.query, ics: req.body } : req.body;
+        const date = body.date || schedule.formatDate(new Date());
+        if (!schedule.DATE_PATTERN.test(date)) {
+            return res.status(400).json({ error: 'date must look like 2026-09-14' });
+        }
+        
+        const checked = body.ics !== undefined
+            ? schedule.classesFromIcs(body.ics, date)
+            : schedule.validateClasses(body.classes);
+        if (checked.error) {
+            return res.status(400).json({ error: checked.error });
+        }
+        
+        const { options, error } = parseRoutingOptions(body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        // Charged for each routed passing period after the first
+        if (!routeLimiter.consume(req, res, Math.max(0, schedule.countRoutedTransitions(checked.classes) - 1))) {
+            return;
+        }
+        
+        const plan = await planSchedule(checked.classes, options.reports, {
+            ...options,
+            parking: body.parking === true || body.parking === 'true',
+            date,
+            conditions: await weather.resolveConditions(options.weather)
+        });
+        
+        console.log(`📅 Schedule planned: ${plan.classes.length} classes, ${plan.summary.feasible}/${plan.summary.transitions} transitions fit${plan.summary.infeasible.length ? ' ⚠️' : ''}`);
+        
+        if (req.user) {
+            for (const transition of plan.transitions.filter(t => t.routeId)) {
+                transition.historyId = await logRouteRequest(req.user, transition.from.building, transition.to.building, body, { id: transition.routeId, recommendedPath: transition.route });
+            }
+        }
+        
+        res.json({ date, ...plan, ...(options.skippedReports.length ? { skippedReports: options.skippedReports } : {}) });
+    } catch (error) {
+        console.error('❌ Error planning schedule:', error.message);
+        res.status(500).json({ error: 'Failed to plan schedule', message: error.message });
+    }
+});
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+app.post('/api/reports', auth.requireAuth, reportLimiter.middleware, async (req, res) => {
+    try {
+        const { report, error } = reportSchema.validateReport(req.body);
+        
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedReport = await reportStore.createReport(report, req.user.id);
+        
+        console.log(`📍 New report received: ${savedReport.type} at (${savedReport.lat.toFixed(4)}, ${savedReport.lng.toFixed(4)}) from ${req.user.username} (ID: ${savedReport.id})`);
+        
+        res.status(201).json({ success: true, report: savedReport });
+    } catch (error) {
+        console.error('Error saving report:', error);
+        res.status(500).json({ error: 'Failed to save report' });
+    }
+});
+
+app.delete('/api/reports/:id', auth.requireAuth, async (req, res) => {
+    try {
         const reportId = parseInt(req.params.id);
         
-        const index = globalReports.findIndex(r => r.id === reportId);
+        const deletedReport = await reportStore.getReport(reportId);
         
-        if (index === -1) {
+        if (!deletedReport) {
             return res.status(404).json({ error: 'Report not found' });
         }
         
-        const deletedReport = globalReports.splice(index, 1)[0];
+        if (!auth.canDeleteReport(req.user, deletedReport)) {
+            return res.status(403).json({ error: 'Only the author or a moderator can delete this report' });
+        }
+        
+        await reportStore.deleteReport(reportId);
         
-        console.log(`🗑️  Report deleted: ${deletedReport.type} (ID: ${reportId})`);
+        console.log(`🗑️  Report deleted: ${deletedReport.type} (ID: ${reportId}) by ${req.user.username}`);
         
         res.json({ success: true, deletedReport });
     } catch (error) {
@@ -820,8 +1252,219 @@ app.delete('/api/reports/:id', (req, res) => {
     }
 });
 
-app.get('/api/reports', (req, res) => {
-    res.json(globalReports);
+// Construction reports never expire on their own; the author or a moderator resolves them
+app.post('/api/reports/:id/resolve', auth.requireAuth, async (req, res) => {
+    try {
+        const reportId = parseInt(req.params.id);
+        
+        const report = await reportStore.getReport(reportId);
+        
+        if (!report || report.archivedAt) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        if (!auth.canDeleteReport(req.user, report)) {
+            return res.status(403).json({ error: 'Only the author or a moderator can resolve this report' });
+        }
+        
+        await reportStore.archiveReport(reportId, 'resolved');
+        
+        console.log(`✅ Report resolved: ${report.type} (ID: ${reportId}) by ${req.user.username}`);
+        
+        res.json({ success: true, resolvedReport: await reportStore.getReport(reportId) });
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        res.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+// Other riders back a report up ("still there") or dispute it ("it's clear now").
+// Enough disputes archive it; either way the new counts feed its confidence.
+const voteOnReport = (vote) => async (req, res) => {
+    try {
+        const reportId = parseInt(req.params.id);
+        
+        const report = await reportStore.getReport(reportId);
+        
+        if (!report || report.archivedAt) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        if (report.userId === req.user.id) {
+            return res.status(400).json({ error: 'You cannot vote on your own report' });
+        }
+        
+        const updatedReport = await reportStore.voteOnReport(reportId, req.user.id, vote);
+        
+        console.log(`${vote === 'confirm' ? '👍 Report confirmed' : '👎 Report disputed'}: ${report.type} (ID: ${reportId}) by ${req.user.username}${updatedReport.archivedAt ? ' - archived as disputed' : ''}`);
+        
+        res.json({ success: true, report: updatedReport });
+    } catch (error) {
+        console.error(`Error recording ${vote}:`, error);
+        res.status(500).json({ error: `Failed to ${vote} report` });
+    }
+};
+
+app.post('/api/reports/:id/confirm', auth.requireAuth, reportLimiter.middleware, voteOnReport('confirm'));
+app.post('/api/reports/:id/dispute', auth.requireAuth, reportLimiter.middleware, voteOnReport('dispute'));
+
+app.get('/api/reports', async (req, res) => {
+    try {
+        res.json(await reportStore.listReports());
+    } catch (error) {
+        console.error('Error loading reports:', error);
+        res.status(500).json({ error: 'Failed to load reports' });
+    }
+});
+
+// Live reports grouped into one hazard per cluster, with a confidence score each
+app.get('/api/reports/clusters', async (req, res) => {
+    try {
+        res.json(clusterReports(await reportStore.listReports()));
+    } catch (error) {
+        console.error('Error clustering reports:', error);
+        res.status(500).json({ error: 'Failed to cluster reports' });
+    }
+});
+
+// Reports binned into cells for a heatmap overlay (see heatmap.js), as GeoJSON, e.g.
+// GET /api/reports/heatmap?types=smoothness,congestion&hours=168&cell=50&shape=hex
+// Without hours only live reports count; with it, everything filed in the last that many hours.
+app.get('/api/reports/heatmap', async (req, res) => {
+    try {
+        const { options, error } = heatmap.parseHeatmapQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const now = Date.now();
+        const reports = options.hours === null
+            ? (await reportStore.listReports()).filter(report => options.types.length === 0 || options.types.includes(report.type))
+            : await reportStore.listReportsSince(new Date(now - options.hours * 60 * MINUTE_MS).toISOString(), options.types);
+        
+        res.json({
+            ...heatmap.buildHeatmap(reports, { ...options, now }),
+            generatedAt: new Date(now).toISOString(),
+            ...options
+        });
+    } catch (error) {
+        console.error('Error building heatmap:', error);
+        res.status(500).json({ error: 'Failed to build heatmap' });
+    }
+});
+
+// Congestion usually seen at a spot, from past reports (see congestion.js),
+// e.g. GET /api/congestion/expected?lat=30.6187&lng=-96.3365&at=2026-09-14T09:50:00-05:00
+// (at defaults to now). level is 1 (empty) to 5 (packed), or null without history.
+app.get('/api/congestion/expected', async (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return res.status(400).json({ error: 'lat and lng query parameters are required' });
+        }
+        
+        const at = req.query.at === undefined ? Date.now() : Date.parse(req.query.at);
+        if (Number.isNaN(at)) {
+            return res.status(400).json({ error: 'at must be a date and time like 2026-09-14T09:50:00-05:00' });
+        }
+        
+        const expected = congestion.expectedCongestion(lat, lng, at);
+        res.json({
+            lat,
+            lng,
+            at: new Date(at).toISOString(),
+            level: expected ? Math.round(expected.level * 10) / 10 : null,
+            samples: expected ? Math.round(expected.samples * 10) / 10 : 0,
+            multiplier: expected ? Math.round(congestion.levelMultiplier(expected.level) * 1000) / 1000 : 1
+        });
+    } catch (error) {
+        console.error('Error estimating congestion:', error);
+        res.status(500).json({ error: 'Failed to estimate congestion' });
+    }
+});
+
+// Server-Sent Events: report-created, report-updated, report-deleted, report-expired,
+// report-resolved and report-disputed, plus zone-created, zone-updated and zone-deleted
+// and poi-created, poi-updated and poi-deleted
+app.get('/api/reports/stream', reportStream.handler);
+
+app.get('/api/reports/export', async (req, res) => {
+    try {
+        res.type('application/geo+json');
+        res.attachment('skate-scout-reports.geojson');
+        res.send(JSON.stringify(formats.reportsToGeoJSON(await reportStore.listReports()), null, 2));
+    } catch (error) {
+        console.error('Error exporting reports:', error);
+        res.status(500).json({ error: 'Failed to export reports' });
+    }
+});
+
+// Bulk-load a GeoJSON FeatureCollection of report points, e.g. a group survey.
+// Large files should be sent as application/geo+json, which gets a bigger body limit.
+// Every report in the file counts against the reporter's hourly import limit.
+app.post('/api/reports/import', auth.requireAuth, express.json({ type: 'application/geo+json', limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    try {
+        const { reports, errors } = formats.parseReportCollection(req.body);
+        
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid report file', details: errors.slice(0, 20), errorCount: errors.length });
+        }
+        
+        if (!importLimiter.consume(req, res, reports.length)) return;
+        
+        const { imported, duplicates, expired } = await reportStore.importReports(reports, req.user.id);
+        
+        console.log(`📥 Imported ${imported.length} report(s) from ${req.user.username} (${duplicates} duplicate, ${expired} expired skipped)`);
+        
+        res.status(201).json({ success: true, imported: imported.length, duplicates, expired, reports: imported });
+    } catch (error) {
+        console.error('Error importing reports:', error);
+        res.status(500).json({ error: 'Failed to import reports' });
+    }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        const problem = auth.validateCredentials(username, password);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+        
+        const user = await auth.createUser(username, password);
+        if (!user) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+        
+        console.log(`👤 New user registered: ${user.username} (${user.role})`);
+        
+        res.status(201).json({ token: auth.issueToken(user), user });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Failed to register' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        const user = await auth.verifyCredentials(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        res.json({ token: auth.issueToken(user), user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+    res.json({ user: req.user });
 });
 
 function cleanRoute(route) {
@@ -832,14 +1475,490 @@ function cleanRoute(route) {
     };
 }
 
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
     res.json({ 
         status: 'ok', 
         message: 'Server is running',
-        reports: globalReports.length 
+        reports: await reportStore.countReports(),
+        liveClients: reportStream.clientCount(),
+        cache: routing.mapsCache.stats()
     });
 });
 
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        default: profiles.DEFAULT_PROFILE,
+        profiles: profiles.listProfiles().map(name => profiles.describeProfile(profiles.getProfile(name)))
+    });
+});
+
+// The weather routes are planned for when a request doesn't name any, and the conditions a request can name
+app.get('/api/weather', async (req, res) => {
+    try {
+        res.json({
+            current: weather.describeConditions(await weather.resolveConditions()),
+            conditions: weather.listConditions().map(name => weather.describeConditions(weather.getConditions(name))),
+            provider: weather.getProvider().name
+        });
+    } catch (error) {
+        console.error('Error reading weather:', error);
+        res.status(500).json({ error: 'Failed to read weather' });
+    }
+});
+
+app.get('/api/ranking/presets', (req, res) => {
+    res.json({
+        factors: ranking.listFactors(),
+        defaultWeights: ranking.DEFAULT_WEIGHTS,
+        presets: ranking.PRESETS
+    });
+});
+
+app.get('/api/cache/stats', (req, res) => {
+    res.json(routing.mapsCache.stats());
+});
+
+// Drop cached Maps responses, e.g. DELETE /api/cache?namespace=google:geocode
+app.delete('/api/cache', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can clear the cache' });
+        }
+        
+        const namespace = req.query.namespace ? `${req.query.namespace}:` : '';
+        const removed = await routing.mapsCache.invalidate(namespace);
+        
+        console.log(`🧹 Cache invalidated${namespace ? ` (${req.query.namespace})` : ''}: ${removed} in-memory entries removed`);
+        
+        res.json({ success: true, removed, stats: routing.mapsCache.stats() });
+    } catch (error) {
+        console.error('Error invalidating cache:', error);
+        res.status(500).json({ error: 'Failed to invalidate cache' });
+    }
+});
+
+// ============================================================================
+// ZONES
+// ============================================================================
+
+// Dismount, no-entry and slow zones. Anyone can read them; only moderators change them.
+// Body for POST and PUT: { name, kind, geometry: GeoJSON Polygon, speedLimitKmh (slow zones) }
+app.get('/api/zones', async (req, res) => {
+    try {
+        res.json(await zoneStore.listZones());
+    } catch (error) {
+        console.error('Error loading zones:', error);
+        res.status(500).json({ error: 'Failed to load zones' });
+    }
+});
+
+app.get('/api/zones/:id', async (req, res) => {
+    try {
+        const zone = await zoneStore.getZone(parseInt(req.params.id));
+        
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+        
+        res.json(zone);
+    } catch (error) {
+        console.error('Error loading zone:', error);
+        res.status(500).json({ error: 'Failed to load zone' });
+    }
+});
+
+app.post('/api/zones', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can create zones' });
+        }
+        
+        const { zone, error } = zoneStore.validateZone(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedZone = await zoneStore.createZone(zone, req.user.id);
+        
+        console.log(`🚷 Zone created: ${savedZone.name} (${savedZone.kind}, ID: ${savedZone.id}) by ${req.user.username}`);
+        
+        res.status(201).json({ success: true, zone: savedZone });
+    } catch (error) {
+        console.error('Error creating zone:', error);
+        res.status(500).json({ error: 'Failed to create zone' });
+    }
+});
+
+app.put('/api/zones/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can edit zones' });
+        }
+        
+        const { zone, error } = zoneStore.validateZone(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedZone = await zoneStore.updateZone(parseInt(req.params.id), zone);
+        if (!savedZone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+        
+        console.log(`✏️  Zone updated: ${savedZone.name} (${savedZone.kind}, ID: ${savedZone.id}) by ${req.user.username}`);
+        
+        res.json({ success: true, zone: savedZone });
+    } catch (error) {
+        console.error('Error updating zone:', error);
+        res.status(500).json({ error: 'Failed to update zone' });
+    }
+});
+
+app.delete('/api/zones/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can delete zones' });
+        }
+        
+        const zoneId = parseInt(req.params.id);
+        const deletedZone = await zoneStore.getZone(zoneId);
+        
+        if (!deletedZone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+        
+        await zoneStore.deleteZone(zoneId);
+        
+        console.log(`🗑️  Zone deleted: ${deletedZone.name} (ID: ${zoneId}) by ${req.user.username}`);
+        
+        res.json({ success: true, deletedZone });
+    } catch (error) {
+        console.error('Error deleting zone:', error);
+        res.status(500).json({ error: 'Failed to delete zone' });
+    }
+});
+
+// ============================================================================
+// POINTS OF INTEREST
+// ============================================================================
+
+// ?type=bike-rack,skateboard-rack as { types }, or { error } naming an unknown type
+const parsePoiTypes = (value) => {
+  const types = value ? String(value).split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknown = types.find(type => !poiStore.POI_TYPES.includes(type));
+  return unknown ? { error: `Unknown POI type: ${unknown}` } : { types };
+};
+
+// Bike and skateboard racks. Anyone can read them; only moderators change them.
+// Body for POST and PUT: { type, name, lat, lng, capacity }
+// GET /api/pois?type=bike-rack,skateboard-rack filters by type.
+app.get('/api/pois', async (req, res) => {
+    try {
+        const { types, error } = parsePoiTypes(req.query.type);
+        if (error) {
+            return res.status(400).json({ error, types: poiStore.POI_TYPES });
+        }
+        
+        res.json(await poiStore.listPois(types));
+    } catch (error) {
+        console.error('Error loading POIs:', error);
+        res.status(500).json({ error: 'Failed to load POIs' });
+    }
+});
+
+// Closest POIs to a point, e.g. GET /api/pois/nearest?lat=30.62&lng=-96.34&type=bike-rack&limit=3&radius=300
+// Each comes with its straight-line distance in meters.
+app.get('/api/pois/nearest', async (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return res.status(400).json({ error: 'lat and lng query parameters are required' });
+        }
+        
+        const { types, error } = parsePoiTypes(req.query.type);
+        if (error) {
+            return res.status(400).json({ error, types: poiStore.POI_TYPES });
+        }
+        
+        const limit = req.query.limit === undefined ? poiStore.DEFAULT_NEAREST_LIMIT : parseInt(req.query.limit);
+        if (!(limit >= 1 && limit <= poiStore.MAX_NEAREST_LIMIT)) {
+            return res.status(400).json({ error: `limit must be between 1 and ${poiStore.MAX_NEAREST_LIMIT}` });
+        }
+        
+        const radiusM = req.query.radius === undefined ? Infinity : parseFloat(req.query.radius);
+        if (!(radiusM > 0)) {
+            return res.status(400).json({ error: 'radius must be a positive number of meters' });
+        }
+        
+        res.json(await poiStore.nearestPois(lat, lng, { types, limit, radiusM }));
+    } catch (error) {
+        console.error('Error finding nearest POIs:', error);
+        res.status(500).json({ error: 'Failed to find nearest POIs' });
+    }
+});
+
+app.get('/api/pois/:id', async (req, res) => {
+    try {
+        const poi = await poiStore.getPoi(parseInt(req.params.id));
+        
+        if (!poi) {
+            return res.status(404).json({ error: 'POI not found' });
+        }
+        
+        res.json(poi);
+    } catch (error) {
+        console.error('Error loading POI:', error);
+        res.status(500).json({ error: 'Failed to load POI' });
+    }
+});
+
+app.post('/api/pois', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can add POIs' });
+        }
+        
+        const { poi, error } = poiStore.validatePoi(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedPoi = await poiStore.createPoi(poi, req.user.id);
+        
+        console.log(`🅿️  POI created: ${savedPoi.name} (${savedPoi.type}, ID: ${savedPoi.id}) by ${req.user.username}`);
+        
+        res.status(201).json({ success: true, poi: savedPoi });
+    } catch (error) {
+        console.error('Error creating POI:', error);
+        res.status(500).json({ error: 'Failed to create POI' });
+    }
+});
+
+app.put('/api/pois/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can edit POIs' });
+        }
+        
+        const { poi, error } = poiStore.validatePoi(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedPoi = await poiStore.updatePoi(parseInt(req.params.id), poi);
+        if (!savedPoi) {
+            return res.status(404).json({ error: 'POI not found' });
+        }
+        
+        console.log(`✏️  POI updated: ${savedPoi.name} (${savedPoi.type}, ID: ${savedPoi.id}) by ${req.user.username}`);
+        
+        res.json({ success: true, poi: savedPoi });
+    } catch (error) {
+        console.error('Error updating POI:', error);
+        res.status(500).json({ error: 'Failed to update POI' });
+    }
+});
+
+app.delete('/api/pois/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!auth.isModerator(req.user)) {
+            return res.status(403).json({ error: 'Only moderators can delete POIs' });
+        }
+        
+        const poiId = parseInt(req.params.id);
+        const deletedPoi = await poiStore.getPoi(poiId);
+        
+        if (!deletedPoi) {
+            return res.status(404).json({ error: 'POI not found' });
+        }
+        
+        await poiStore.deletePoi(poiId);
+        
+        console.log(`🗑️  POI deleted: ${deletedPoi.name} (ID: ${poiId}) by ${req.user.username}`);
+        
+        res.json({ success: true, deletedPoi });
+    } catch (error) {
+        console.error('Error deleting POI:', error);
+        res.status(500).json({ error: 'Failed to delete POI' });
+    }
+});
+
+// ============================================================================
+// SAVED PLACES, FAVORITE ROUTES AND TRIP HISTORY
+// ============================================================================
+
+// A logged-in rider's own places (home, dorm, labs...). Body for POST and PUT: { name, kind, location }
+app.get('/api/places', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await placeStore.listPlaces(req.user.id));
+    } catch (error) {
+        console.error('Error loading places:', error);
+        res.status(500).json({ error: 'Failed to load places' });
+    }
+});
+
+app.post('/api/places', auth.requireAuth, async (req, res) => {
+    try {
+        const { place, error } = placeStore.validatePlace(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedPlace = await placeStore.createPlace(place, req.user.id);
+        if (!savedPlace) {
+            return res.status(409).json({ error: `You already have a place called ${place.name}` });
+        }
+        
+        console.log(`📌 Place saved: ${savedPlace.name} (${savedPlace.kind}, ID: ${savedPlace.id}) by ${req.user.username}`);
+        
+        res.status(201).json({ success: true, place: savedPlace });
+    } catch (error) {
+        console.error('Error saving place:', error);
+        res.status(500).json({ error: 'Failed to save place' });
+    }
+});
+
+app.put('/api/places/:id', auth.requireAuth, async (req, res) => {
+    try {
+        const { place, error } = placeStore.validatePlace(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const savedPlace = await placeStore.updatePlace(parseInt(req.params.id), place, req.user.id);
+        if (savedPlace === undefined) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        if (!savedPlace) {
+            return res.status(409).json({ error: `You already have a place called ${place.name}` });
+        }
+        
+        res.json({ success: true, place: savedPlace });
+    } catch (error) {
+        console.error('Error updating place:', error);
+        res.status(500).json({ error: 'Failed to update place' });
+    }
+});
+
+app.delete('/api/places/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!(await placeStore.deletePlace(parseInt(req.params.id), req.user.id))) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting place:', error);
+        res.status(500).json({ error: 'Failed to delete place' });
+    }
+});
+
+// Favorite routes to plan again in one click.
+// Body for POST: { name, start, end, options: { profile, preset, weights, weather, parking } }
+app.get('/api/favorites', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await placeStore.listFavorites(req.user.id));
+    } catch (error) {
+        console.error('Error loading favorites:', error);
+        res.status(500).json({ error: 'Failed to load favorites' });
+    }
+});
+
+app.post('/api/favorites', auth.requireAuth, async (req, res) => {
+    try {
+        const { favorite, error } = placeStore.validateFavorite(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { error: optionsError } = parseRoutingOptions(favorite.options);
+        if (optionsError) {
+            return res.status(400).json(optionsError);
+        }
+        
+        const savedFavorite = await placeStore.createFavorite(favorite, req.user.id);
+        if (!savedFavorite) {
+            return res.status(409).json({ error: `You already have a favorite called ${favorite.name}` });
+        }
+        
+        console.log(`⭐ Favorite saved: ${savedFavorite.name} (${savedFavorite.start} → ${savedFavorite.end}) by ${req.user.username}`);
+        
+        res.status(201).json({ success: true, favorite: savedFavorite });
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+        res.status(500).json({ error: 'Failed to save favorite' });
+    }
+});
+
+app.delete('/api/favorites/:id', auth.requireAuth, async (req, res) => {
+    try {
+        if (!(await placeStore.deleteFavorite(parseInt(req.params.id), req.user.id))) {
+            return res.status(404).json({ error: 'Favorite not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting favorite:', error);
+        res.status(500).json({ error: 'Failed to delete favorite' });
+    }
+});
+
+// The rider's route requests, newest first; ?limit= caps how many (default 50)
+app.get('/api/history', auth.requireAuth, async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+        if (limit !== undefined && !(limit > 0)) {
+            return res.status(400).json({ error: 'limit must be a positive number' });
+        }
+        res.json(await tripHistory.listHistory(req.user.id, limit));
+    } catch (error) {
+        console.error('Error loading history:', error);
+        res.status(500).json({ error: 'Failed to load history' });
+    }
+});
+
+// Record which route of a logged request the rider chose to ride.
+// Body: { route: category (default recommendedPath) or candidate index }
+app.post('/api/history/:id/choose', auth.requireAuth, async (req, res) => {
+    try {
+        const { route: routeKey = 'recommendedPath' } = req.body || {};
+        const entryId = parseInt(req.params.id);
+        
+        const entry = await tripHistory.getEntry(entryId, req.user.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'History entry not found' });
+        }
+        
+        const computed = entry.routeId ? await computedRoutes.get(entry.routeId) : null;
+        if (!computed) {
+            return res.status(404).json({ error: 'Route result not found or expired; request the routes again' });
+        }
+        
+        const route = pickComputedRoute(computed.result, routeKey);
+        if (!route || !route.polyline) {
+            return res.status(404).json({ error: `No route ${routeKey} in this result` });
+        }
+        
+        const updatedEntry = await tripHistory.logChoice(entryId, tripHistory.routeMetrics(route, routeKey), req.user.id);
+        
+        res.json({ success: true, entry: updatedEntry });
+    } catch (error) {
+        console.error('Error recording route choice:', error);
+        res.status(500).json({ error: 'Failed to record route choice' });
+    }
+});
+
+app.delete('/api/history', auth.requireAuth, async (req, res) => {
+    try {
+        const deleted = await tripHistory.clearHistory(req.user.id);
+        
+        console.log(`🧹 Trip history cleared: ${deleted} entries by ${req.user.username}`);
+        
+        res.json({ success: true, deleted });
+    } catch (error) {
+        console.error('Error clearing history:', error);
+        res.status(500).json({ error: 'Failed to clear history' });
+    }
+});
+
 // HTML PAGE ROUTES
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -857,15 +1976,85 @@ app.get('/map.html', (req, res) => {
 // SERVER STARTUP
 // ============================================================================
 
-app.listen(port, () => {
+const loadCongestionHistory = async () => {
+    try {
+        return await congestion.loadHistory();
+    } catch (error) {
+        console.error('Error loading congestion history:', error.message);
+        return 0;
+    }
+};
+
+const archiveExpiredReports = async () => {
+    try {
+        const archived = await reportStore.archiveExpiredReports();
+        if (archived > 0) {
+            console.log(`🗄️  Archived ${archived} expired report(s)`);
+        }
+    } catch (error) {
+        console.error('Error archiving expired reports:', error.message);
+    }
+};
+
+// Open the database, load what's kept in memory and start listening (port 0 picks a free one,
+// as the tests do). Resolves to the HTTP server once it's listening.
+const startServer = (listenPort = port) => db.init().then(async ({ filename, applied, version }) => {
+    weather.getProvider(); // an unknown WEATHER_PROVIDER stops the server here rather than every route request
+    const moderators = await auth.syncModerators();
+    const indexed = await reportStore.loadIndex();
+    const zoneCount = await zoneStore.loadZones();
+    const congestionHistory = await loadCongestionHistory();
+    archiveExpiredReports();
+    setInterval(archiveExpiredReports, REPORT_ARCHIVE_INTERVAL_MS).unref();
+    setInterval(() => {
+        routing.mapsCache.purgeExpired().catch(error => console.error('Error purging cache:', error.message));
+        reportLimiter.purgeExpired();
+        routeLimiter.purgeExpired();
+        importLimiter.purgeExpired();
+    }, CACHE_PURGE_INTERVAL_MS).unref();
+    setInterval(loadCongestionHistory, CONGESTION_HISTORY_INTERVAL_MS).unref();
+    
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(listenPort, () => resolve(listening));
+    });
+    const listeningPort = server.address().port;
+    
     console.log('\n' + '='.repeat(70));
     console.log(`🚀 Skate Scout Server`);
     console.log('='.repeat(70));
-    console.log(`✅ Server running on http://localhost:${port}`);
-    console.log(`🏠 Landing page: http://localhost:${port}`);
-    console.log(`🗺️  Map page: http://localhost:${port}/map.html`);
-    console.log(`📍 API endpoint: POST http://localhost:${port}/api/routes`);
-    console.log(`📝 Reports endpoint: POST http://localhost:${port}/api/reports`);
-    console.log(`🏥 Health check: GET http://localhost:${port}/api/health`);
+    console.log(`✅ Server running on http://localhost:${listeningPort}`);
+    console.log(`🧭 Routing provider: ${routing.getProvider().name} (available: ${routing.listProviders().join(', ')})`);
+    if (mapsClientMode !== 'live') {
+        console.log(`🎞️  Google Maps client: ${mapsClientMode}`);
+    }
+    console.log(`💾 Database: ${filename} (schema v${version}, ${applied} migration(s) applied)`);
+    if (moderators.promoted || moderators.demoted) {
+        console.log(`🛡️  Moderators: ${moderators.promoted} promoted, ${moderators.demoted} demoted`);
+    }
+    console.log(`📌 Live reports indexed: ${indexed}`);
+    console.log(`🚷 Zones loaded: ${zoneCount}`);
+    console.log(`🌦️  Weather provider: ${weather.getProvider().name} (conditions: ${weather.listConditions().join(', ')})`);
+    console.log(`📈 Congestion history: ${congestionHistory} past report(s)`);
+    console.log(`🏠 Landing page: http://localhost:${listeningPort}`);
+    console.log(`🗺️  Map page: http://localhost:${listeningPort}/map.html`);
+    console.log(`📍 API endpoint: POST http://localhost:${listeningPort}/api/routes`);
+    console.log(`📝 Reports endpoint: POST http://localhost:${listeningPort}/api/reports`);
+    console.log(`👤 Auth endpoints: POST http://localhost:${listeningPort}/api/auth/register, /api/auth/login`);
+    console.log(`🏥 Health check: GET http://localhost:${listeningPort}/api/health`);
     console.log('='.repeat(70));
-});
\ No newline at end of file
+    return server;
+});
+
+if (require.main === module) {
+    startServer().catch((error) => {
+        console.error('❌ Failed to open database:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    app,
+    startServer,
+    findOptimalPaths,
+    planRoutes,
+};
@@ -0,0 +1,140 @@
+const { projectToMeters, pointToSegmentMeters } = require('./geo');
+
+// Uniform grid index over point items ({ id, lat, lng, ... }) such as reports.
+// Points are projected to meters around a fixed reference latitude, bucketed
+// into square cells, and queries only look at the cells a search area touches.
+
+const DEFAULT_CELL_SIZE_M = 50;
+const DEFAULT_REFERENCE_LAT = 30.6187; // Texas A&M campus
+
+/**
+ * Create an index. Items are keyed by `id`; items without one get a
+ * synthetic key, so ad-hoc lists (e.g. reports sent with a request) can be
+ * indexed too.
+ */
+const createSpatialIndex = ({ cellSizeM = DEFAULT_CELL_SIZE_M, referenceLat = DEFAULT_REFERENCE_LAT } = {}) => {
+  const cells = new Map();   // "cx,cy" -> Set of keys
+  const entries = new Map(); // key -> { item, x, y, cell }
+  let anonymous = 0;
+
+  const project = (lat, lng) => projectToMeters(lat, lng, referenceLat);
+  const cellCoord = (meters) => Math.floor(meters / cellSizeM);
+
+  const keyOf = (item) => (item.id !== undefined && item.id !== null ? item.id : `anonymous-${anonymous++}`);
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    const bucket = cells.get(entry.cell);
+    bucket.delete(id);
+    if (bucket.size === 0) cells.delete(entry.cell);
+    entries.delete(id);
+    return true;
+  };
+
+  const insert = (item) => {
+    const key = keyOf(item);
+    remove(key);
+
+    const { x, y } = project(item.lat, item.lng);
+    const cell = `${cellCoord(x)},${cellCoord(y)}`;
+    if (!cells.has(cell)) cells.set(cell, new Set());
+    cells.get(cell).add(key);
+    entries.set(key, { item, x, y, cell });
+    return key;
+  };
+
+  const clear = () => {
+    cells.clear();
+    entries.clear();
+  };
+
+  // Keys of every item in cells overlapping the box, not yet distance-filtered
+  const candidatesInBox = (minX, minY, maxX, maxY, into = new Set()) => {
+    for (let cx = cellCoord(minX); cx <= cellCoord(maxX); cx++) {
+      for (let cy = cellCoord(minY); cy <= cellCoord(maxY); cy++) {
+        const bucket = cells.get(`${cx},${cy}`);
+        if (bucket) bucket.forEach(key => into.add(key));
+      }
+    }
+    return into;
+  };
+
+  // Items within radiusM meters of a point
+  const nearPoint = (lat, lng, radiusM) => {
+    const { x, y } = project(lat, lng);
+    const found = [];
+    candidatesInBox(x - radiusM, y - radiusM, x + radiusM, y + radiusM).forEach((key) => {
+      const entry = entries.get(key);
+      if (Math.hypot(entry.x - x, entry.y - y) < radiusM) found.push(entry.item);
+    });
+    return found;
+  };
+
+  // Items within radiusM meters of a polyline given as [lat, lng] pairs
+  const nearPolyline = (points, radiusM) => {
+    if (points.length === 0) return [];
+    if (points.length === 1) return nearPoint(points[0][0], points[0][1], radiusM);
+
+    const projected = points.map(([lat, lng]) => project(lat, lng));
+    const candidates = new Set();
+    for (let i = 0; i < projected.length - 1; i++) {
+      const a = projected[i];
+      const b = projected[i + 1];
+      candidatesInBox(
+        Math.min(a.x, b.x) - radiusM, Math.min(a.y, b.y) - radiusM,
+        Math.max(a.x, b.x) + radiusM, Math.max(a.y, b.y) + radiusM,
+        candidates
+      );
+    }
+
+    const found = [];
+    candidates.forEach((key) => {
+      const entry = entries.get(key);
+      for (let i = 0; i < projected.length - 1; i++) {
+        const a = projected[i];
+        const b = projected[i + 1];
+        if (pointToSegmentMeters(entry.x, entry.y, a.x, a.y, b.x, b.y) < radiusM) {
+          found.push(entry.item);
+          return;
+        }
+      }
+    });
+    return found;
+  };
+
+  return {
+    insert,
+    remove,
+    clear,
+    nearPoint,
+    nearPolyline,
+    get: (id) => (entries.has(id) ? entries.get(id).item : null),
+    all: () => [...entries.values()].map(entry => entry.item),
+    size: () => entries.size,
+  };
+};
+
+// Index a plain list of items in one go
+const indexItems = (items, options) => {
+  const index = createSpatialIndex(options);
+  (items || []).forEach(item => index.insert(item));
+  return index;
+};
+
+/**
+ * Query several indexes as one (e.g. stored reports plus the extra reports a
+ * client sent with a request). Only the query calls are combined.
+ */
+const combineIndexes = (...indexes) => ({
+  nearPoint: (lat, lng, radiusM) => indexes.flatMap(index => index.nearPoint(lat, lng, radiusM)),
+  nearPolyline: (points, radiusM) => indexes.flatMap(index => index.nearPolyline(points, radiusM)),
+  all: () => indexes.flatMap(index => index.all()),
+  size: () => indexes.reduce((sum, index) => sum + index.size(), 0),
+});
+
+module.exports = {
+  createSpatialIndex,
+  indexItems,
+  combineIndexes,
+};
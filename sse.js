@@ -0,0 +1,66 @@
+// Server-Sent Events broadcaster. Each stream keeps a short history so a
+// client that reconnects with Last-Event-ID (EventSource does this on its own)
+// gets the events it missed instead of a gap.
+
+const DEFAULT_HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle connections
+const DEFAULT_HISTORY_SIZE = 100;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Create a stream.
+ * handler is the Express route handler clients connect to; publish(type, data)
+ * sends one event to every connected client.
+ */
+const createEventStream = ({ heartbeatMs = DEFAULT_HEARTBEAT_MS, historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  const clients = new Set();
+  const history = [];
+  // Ids start from the clock so they keep increasing across server restarts
+  let lastId = Date.now();
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => res.write(': heartbeat\n\n'));
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const handler = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+
+    const since = Number(req.get('Last-Event-ID'));
+    if (Number.isInteger(since) && since > 0) {
+      history.filter(event => event.id > since).forEach(event => res.write(formatEvent(event)));
+    }
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  };
+
+  const publish = (type, data) => {
+    const event = { id: ++lastId, type, data };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    clients.forEach(res => res.write(formatEvent(event)));
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clients.forEach(res => res.end());
+    clients.clear();
+  };
+
+  return {
+    handler,
+    publish,
+    close,
+    clientCount: () => clients.size,
+  };
+};
+
+module.exports = {
+  createEventStream,
+};
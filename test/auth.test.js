@@ -0,0 +1,54 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startTestServer } = require('./helpers');
+
+useTestEnv({ MODERATOR_USERNAMES: 'Dean' });
+
+let app;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  app = await startTestServer();
+});
+
+after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const credentials = (username) => ({ username, password: 'correct-horse' });
+
+test('a moderator name is only promoted once its account exists', async () => {
+  const { body: registered } = await app.request('POST', '/api/auth/register', credentials('dean'));
+  assert.equal(registered.user.role, 'rider');
+
+  const auth = require('../auth');
+  assert.deepEqual(await auth.syncModerators(), { promoted: 1, demoted: 0 });
+  assert.deepEqual(await auth.syncModerators(), { promoted: 0, demoted: 0 });
+
+  const { body: loggedIn } = await app.request('POST', '/api/auth/login', credentials('dean'));
+  assert.equal(loggedIn.user.role, 'moderator');
+});
+
+test('a name taken off the list is demoted, token and all', async () => {
+  const auth = require('../auth');
+  await app.request('POST', '/api/auth/register', credentials('provost'));
+  await auth.syncModerators(['provost']);
+  const { body: loggedIn } = await app.request('POST', '/api/auth/login', credentials('provost'));
+  assert.equal((await app.request('DELETE', '/api/cache', undefined, loggedIn.token)).status, 200);
+
+  assert.deepEqual(await auth.syncModerators(['dean']), { promoted: 1, demoted: 1 });
+
+  const { body: me } = await app.request('GET', '/api/auth/me', undefined, loggedIn.token);
+  assert.equal(me.user.role, 'rider');
+  assert.equal((await app.request('DELETE', '/api/cache', undefined, loggedIn.token)).status, 403);
+});
+
+test('registering the same name twice at once takes it only once', async () => {
+  const responses = await Promise.all([
+    app.request('POST', '/api/auth/register', credentials('twin')),
+    app.request('POST', '/api/auth/register', credentials('twin')),
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+});
@@ -0,0 +1,100 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { buildGraph, nearestNode, findPath } = require('../campusGraph');
+const routing = require('../routing');
+
+// The sample path network in data/: Zachry Engineering Center down to the
+// Memorial Student Center, either past Evans Library and Rudder Tower on
+// concrete or straight through Academic Plaza and onto bricks.
+const SAMPLE_GRAPH = path.join(__dirname, '..', 'data', 'campus-paths.geojson');
+const TRIP = { origin: 'Zachry Engineering Center', destination: 'Memorial Student Center' };
+const ON_RUDDER_PATH = { lat: 30.61465, lng: -96.3395 };
+
+const line = (coordinates, properties = {}) => ({ type: 'Feature', properties, geometry: { type: 'LineString', coordinates } });
+
+// A 100 m square, lng/lat corners a (SW), b (SE), c (NE), d (NW)
+const [a, b, c, d] = [[-96.34, 30.62], [-96.339, 30.62], [-96.339, 30.621], [-96.34, 30.621]];
+const square = buildGraph({
+  type: 'FeatureCollection',
+  features: [
+    line([a, b, c]),
+    line([a, d, c]),
+    line([a, c], { access: 'no' }),
+    { type: 'Feature', properties: { name: 'Corner' }, geometry: { type: 'Point', coordinates: c } },
+  ],
+});
+const nodeAt = ([lng, lat]) => nearestNode(square, lat, lng).node.id;
+const byLength = edge => edge.lengthM;
+
+const streets = result => result.routes[0].legs[0].steps.map(step => step.html_instructions).join(' | ');
+
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+test('builds a graph with shared vertices merged and closed ways left out', () => {
+  assert.equal(square.nodes.size, 4);
+  assert.equal(square.edges.length, 4);
+  assert.deepEqual(square.places.map(place => place.name), ['Corner']);
+  assert.ok(nearestNode(square, 30.62001, -96.34).distanceKm < 0.01);
+});
+
+test('A* finds the cheapest path and goes around forbidden edges', () => {
+  const direct = findPath(square, nodeAt(a), nodeAt(c), byLength);
+  assert.equal(direct.edges.length, 2);
+  assert.ok(Math.abs(direct.cost - direct.edges.reduce((sum, edge) => sum + edge.lengthM, 0)) < 1e-9);
+
+  // Doubling the east side makes the west side the way to go
+  const eastern = new Set(direct.nodeIds);
+  const detour = findPath(square, nodeAt(a), nodeAt(c), edge => edge.lengthM * (eastern.has(edge.from) && eastern.has(edge.to) ? 2 : 1));
+  assert.notDeepEqual(detour.nodeIds, direct.nodeIds);
+
+  const nowhere = findPath(square, nodeAt(a), nodeAt(c), edge => (edge.from === nodeAt(a) || edge.to === nodeAt(a) ? Infinity : edge.lengthM));
+  assert.equal(nowhere, null);
+});
+
+test('the campus provider routes on the sample graph, minding surfaces', async () => {
+  const provider = routing.createCampusProvider(SAMPLE_GRAPH);
+  const result = await provider.directions(TRIP);
+
+  assert.equal(result.status, 'OK');
+  // The bricks of Plaza Walk make the longer concrete way cheaper
+  assert.match(streets(result), /Rudder Path/);
+  assert.ok(result.routes[0].legs[0].steps.some(step => step.crossing));
+});
+
+test('reports weigh on the edges they sit on', async () => {
+  const provider = routing.createCampusProvider(SAMPLE_GRAPH);
+  const timestamp = new Date().toISOString();
+  const report = (id, fields) => ({ id, userId: id, timestamp, confirmations: 0, disputes: 0, ...ON_RUDDER_PATH, ...fields });
+
+  const rough = [1, 2, 3].map(id => report(id, { type: 'smoothness', rating: 1 }));
+  assert.doesNotMatch(streets(await provider.directions({ ...TRIP, reports: rough })), /Rudder Path/);
+
+  const blocked = [report(4, { type: 'blocked', confirmations: 2 })];
+  assert.doesNotMatch(streets(await provider.directions({ ...TRIP, reports: blocked })), /Rudder Path/);
+
+  // Reports the vehicle doesn't care about leave the route alone
+  const smooth = [report(5, { type: 'smoothness', rating: 5 })];
+  assert.match(streets(await provider.directions({ ...TRIP, reports: smooth })), /Rudder Path/);
+});
+
+test('geocodes sample places by name and rejects empty names', async () => {
+  const provider = routing.createCampusProvider(SAMPLE_GRAPH);
+
+  assert.deepEqual(await provider.geocode('Zachry, College Station, TX'), { lat: 30.6213, lng: -96.3406 });
+  await assert.rejects(provider.geocode(', College Station'), /Could not geocode/);
+  await assert.rejects(provider.geocode('Kyle Field'), /Could not geocode/);
+});
+
+test('a provider without its graph file is not offered', () => {
+  routing.registerProvider('campus-elsewhere', () => routing.createCampusProvider(path.join(__dirname, 'fixtures', 'no-graph.geojson')));
+
+  assert.ok(routing.listProviders().includes('campus'));
+  assert.ok(!routing.listProviders().includes('campus-elsewhere'));
+  assert.throws(() => routing.getProvider('campus-elsewhere'), /not available/);
+});
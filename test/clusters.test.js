@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { clusterReports, isBlocking } = require('../clusters');
+
+const timestamp = new Date().toISOString();
+// Confirmed by one other rider: 0.75 on its own, just enough to block
+const blocked = (id, fields) => ({ id, type: 'blocked', lat: 30.6187, lng: -96.3365, timestamp, confirmations: 1, disputes: 0, ...fields });
+
+test('reports of the same thing a few meters apart become one cluster', () => {
+  const [cluster, ...rest] = clusterReports([
+    blocked(1, { userId: 1, confirmations: 0 }),
+    blocked(2, { userId: 2, confirmations: 0, lat: 30.61875 }),
+    blocked(3, { userId: 3, confirmations: 0, lat: 30.6250 }),
+  ]);
+
+  assert.equal(rest.length, 1);
+  assert.deepEqual(cluster.reportIds.sort(), [1, 2]);
+  assert.equal(cluster.reporterCount, 2);
+  // Two unconfirmed riders: 1 - (1/3)^2
+  assert.equal(cluster.confidence, 0.889);
+  assert.ok(isBlocking(cluster));
+});
+
+test('one rider filing the same hazard twice counts once', () => {
+  const [cluster] = clusterReports([
+    blocked(1, { userId: 7, confirmations: 0 }),
+    blocked(2, { userId: 7, confirmations: 0, lat: 30.61875 }),
+  ]);
+
+  assert.equal(cluster.reportCount, 2);
+  assert.equal(cluster.reporterCount, 1);
+  assert.equal(cluster.confidence, 0.667);
+  assert.ok(!isBlocking(cluster));
+
+  // The best of the rider's reports is the one that counts
+  const [confirmed] = clusterReports([blocked(1, { userId: 7 }), blocked(2, { userId: 7, confirmations: 0 })]);
+  assert.equal(confirmed.confidence, 0.75);
+});
+
+test('reports sent along with a request are one anonymous reporter', () => {
+  const [cluster] = clusterReports([
+    blocked(null, { fromClient: true, confirmations: 0 }),
+    blocked(null, { fromClient: true, confirmations: 0, lng: -96.33652 }),
+  ]);
+
+  assert.equal(cluster.reporterCount, 1);
+  assert.ok(!isBlocking(cluster));
+});
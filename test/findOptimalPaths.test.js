@@ -0,0 +1,55 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+// The route pipeline on its own, fed by the synthetic Maps client so any
+// start and end work without recorded fixtures.
+useTestEnv({ MAPS_CLIENT_MODE: 'synthetic' });
+
+const { findOptimalPaths } = require('../server');
+const routing = require('../routing');
+const profiles = require('../profiles');
+const { decodePolyline } = require('../geo');
+
+const START = '30.6150,-96.3420';
+const END = '30.6200,-96.3380';
+
+const options = () => ({ provider: routing.getProvider('google'), profile: profiles.getProfile('skateboard') });
+
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+test('finds candidates and picks a route for every category', async () => {
+  const result = await findOptimalPaths(START, END, [], options());
+
+  assert.equal(result.error, undefined);
+  assert.ok(result.allRoutes.length >= 2);
+  for (const category of ['shortestPath', 'safestPath', 'smoothestPath', 'balancedPath', 'recommendedPath']) {
+    assert.ok(result.allRoutes.some(route => route.index === result[category].index), `${category} is a candidate`);
+  }
+
+  // The direct synthetic routes are one L each: a single turn
+  assert.equal(result.singleTurnPath.numTurns, 1);
+  const shortest = Math.min(...result.allRoutes.map(route => route.distance));
+  assert.equal(result.shortestPath.distance, shortest);
+});
+
+test('rough reports along a route lower its smoothness', async () => {
+  const clean = await findOptimalPaths(START, END, [], options());
+  const target = clean.shortestPath;
+  const [lat, lng] = decodePolyline(target.polyline)[1];
+  const reports = [1, 2, 3].map(id => ({ id, type: 'smoothness', rating: 1, lat, lng, timestamp: new Date().toISOString() }));
+
+  const rough = await findOptimalPaths(START, END, reports, options());
+  const sameRoute = rough.allRoutes.find(route => route.index === target.index);
+
+  assert.ok(sameRoute.smoothnessScore < target.smoothnessScore);
+  assert.ok(rough.smoothestPath.smoothnessScore >= sameRoute.smoothnessScore);
+});
+
+test('ranks with the weights it is given', async () => {
+  const result = await findOptimalPaths(START, END, [], { ...options(), weights: { distance: 1 } });
+
+  assert.equal(result.ranking[0].index, result.shortestPath.index);
+  assert.ok(result.ranking.every((entry, i) => i === 0 || entry.score <= result.ranking[i - 1].score));
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { parseHeatmapQuery, buildHeatmap } = require('../heatmap');
+
+const NOW = Date.parse('2026-09-14T15:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+const report = (id, fields) => ({ id, lat: 30.6187, lng: -96.3365, timestamp: hoursAgo(0), confirmations: 0, disputes: 0, ...fields });
+
+test('checks heatmap queries', () => {
+  assert.deepEqual(parseHeatmapQuery({}).options, { types: [], hours: null, cellM: 50, shape: 'hex' });
+  assert.deepEqual(parseHeatmapQuery({ types: 'slick, blocked', hours: '24', cell: '100', shape: 'grid' }).options,
+    { types: ['slick', 'blocked'], hours: 24, cellM: 100, shape: 'grid' });
+
+  assert.match(parseHeatmapQuery({ types: 'graffiti' }).error, /Unknown report type: graffiti/);
+  assert.match(parseHeatmapQuery({ shape: 'circle' }).error, /shape must be one of/);
+  assert.match(parseHeatmapQuery({ cell: '5' }).error, /cell must be between/);
+  assert.match(parseHeatmapQuery({ hours: '0' }).error, /hours must be more than 0/);
+});
+
+test('bins nearby reports into one cell with weighted averages', () => {
+  const { features } = buildHeatmap([
+    report(1, { type: 'smoothness', rating: 1 }),
+    report(2, { type: 'smoothness', rating: 3, lat: 30.61872 }),
+    report(3, { type: 'blocked', lat: 30.6250 }),
+  ], { shape: 'grid', now: NOW });
+
+  assert.equal(features.length, 2);
+  const rough = features.find(f => f.properties.types.smoothness);
+  assert.equal(rough.properties.count, 2);
+  assert.equal(rough.properties.rating, 2);
+  assert.equal(rough.properties.congestion, null);
+  assert.equal(rough.properties.intensity, 0.75);
+  assert.equal(rough.geometry.coordinates[0].length, 5);
+});
+
+test('hex cells close their ring and contain their reports', () => {
+  const { features: [cell] } = buildHeatmap([report(1, { type: 'slick' })], { now: NOW });
+  const ring = cell.geometry.coordinates[0];
+
+  assert.equal(ring.length, 7);
+  assert.deepEqual(ring[0], ring[6]);
+  const lngs = ring.map(([lng]) => lng);
+  const lats = ring.map(([, lat]) => lat);
+  assert.ok(Math.min(...lngs) <= -96.3365 && -96.3365 <= Math.max(...lngs));
+  assert.ok(Math.min(...lats) <= 30.6187 && 30.6187 <= Math.max(...lats));
+});
+
+test('over a time window older reports fade and disputed ones count for less', () => {
+  const { features } = buildHeatmap([
+    report(1, { type: 'blocked', timestamp: hoursAgo(6) }),
+    report(2, { type: 'blocked', lat: 30.6250, timestamp: hoursAgo(18) }),
+    report(3, { type: 'blocked', lat: 30.6300, timestamp: hoursAgo(30) }),
+    report(4, { type: 'blocked', lat: 30.6100, disputes: 3 }),
+  ], { hours: 24, now: NOW });
+
+  // An unvoted report has a 2/3 vote share; three disputes bring it to 1/3
+  const weights = features.map(f => f.properties.weight).sort();
+  assert.deepEqual(weights, [0.167, 0.333, 0.5]);
+});
@@ -0,0 +1,68 @@
+const path = require('path');
+
+// Settings every test runs with. They have to be in place before any app
+// module is loaded, since env.js reads them once; a developer's .env can't
+// change them because dotenv never overrides variables that are already set.
+const TEST_ENV = {
+  DATABASE_PATH: ':memory:',
+  ROUTING_PROVIDER: 'google',
+  MAPS_CLIENT_MODE: 'replay',
+  MAPS_FIXTURES_DIR: path.join(__dirname, 'fixtures', 'maps'),
+  WEATHER_PROVIDER: 'file',
+  WEATHER_FILE: path.join(__dirname, 'fixtures', 'no-weather.json'), // not there, so it's dry
+  CAMPUS_BOUNDS: '30.58,-96.38,30.64,-96.31',
+  CACHE_PERSIST: 'memory',
+  JWT_SECRET: 'test-secret',
+};
+
+const useTestEnv = (overrides = {}) => {
+  Object.assign(process.env, TEST_ENV, overrides);
+};
+
+/**
+ * Start the whole app on a free port with an in-memory database. Returns
+ * { request, close }: request(method, path, body, token) -> { status, body }.
+ */
+const startTestServer = async () => {
+  const { startServer } = require('../server');
+  const db = require('../db');
+  const server = await startServer(0);
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const request = async (method, urlPath, body, token) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // GPX and other non-JSON bodies come back as text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  };
+
+  return { request, close };
+};
+
+// The requests the recorded fixtures in fixtures/maps answer (see routes.test.js)
+const RECORDED_TRIP = { start: 'Zachry Engineering Center', end: 'Memorial Student Center' };
+
+module.exports = {
+  TEST_ENV,
+  useTestEnv,
+  startTestServer,
+  RECORDED_TRIP,
+};
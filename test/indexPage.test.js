@@ -0,0 +1,130 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The saved places, favorites and trip history section of index.html, run
+// against a bare-bones document and localStorage the way a logged-out rider's
+// browser would run it.
+const page = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8').replace(/\r\n/g, '\n');
+const SECTION = page.slice(
+  page.indexOf('        // Saved places, favorite routes and trip history'),
+  page.indexOf('        // Ranking factors')
+);
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+};
+
+const createElement = () => ({
+  value: '',
+  innerHTML: '',
+  textContent: '',
+  classList: { contains: () => false, toggle() {}, add() {} },
+  querySelectorAll: () => [],
+  click() {},
+});
+
+let browser;
+
+const loadPage = () => {
+  const elements = new Map();
+  const messages = [];
+  const context = vm.createContext({
+    console,
+    authToken: null,
+    localStorage: createStorage(),
+    document: {
+      getElementById: (id) => {
+        if (!elements.has(id)) elements.set(id, createElement());
+        return elements.get(id);
+      },
+    },
+    routeNames: { recommendedPath: 'Recommended', shortestPath: 'Shortest' },
+    currentWeights: () => ({ smoothness: 1 }),
+    setWeights() {},
+    authHeaders: () => ({}),
+    clearSession() {},
+    showError: message => messages.push(['error', message]),
+    showSuccess: message => messages.push(['success', message]),
+  });
+  vm.runInContext(SECTION, context);
+  return { context, messages, element: id => context.document.getElementById(id), stored: key => JSON.parse(context.localStorage.getItem(key) || '[]') };
+};
+
+const route = (distance) => ({ description: null, distance, travelTime: distance * 4, smoothnessScore: 80, numTurns: 2, calories: 20, elevation: null, blocked: false });
+
+beforeEach(() => {
+  browser = loadPage();
+});
+
+test('saves places and favorites in localStorage when logged out', async () => {
+  const { context, element, stored, messages } = browser;
+  element('profile').value = 'bike';
+  element('weather').value = 'wet';
+
+  Object.assign(element('place-name'), { value: 'Dorm' });
+  Object.assign(element('place-kind'), { value: 'dorm' });
+  Object.assign(element('place-location'), { value: 'Hullabaloo Hall' });
+  await context.savePlace();
+  assert.deepEqual(stored('savedPlaces').map(p => [p.name, p.kind, p.location]), [['Dorm', 'dorm', 'Hullabaloo Hall']]);
+
+  element('place-name').value = 'dorm';
+  element('place-location').value = 'Somewhere else';
+  await context.savePlace();
+  assert.deepEqual(messages.at(-1), ['error', 'You already have a place called dorm']);
+  assert.equal(stored('savedPlaces').length, 1);
+
+  Object.assign(element('start'), { value: 'Zachry' });
+  Object.assign(element('end'), { value: 'MSC' });
+  element('favorite-name').value = 'To the MSC';
+  await context.saveFavorite();
+  const [favorite] = stored('favoriteRoutes');
+  assert.equal(favorite.start, 'Zachry');
+  assert.equal(favorite.options.profile, 'bike');
+  assert.equal(favorite.options.weather, 'wet');
+
+  await context.deletePlace(stored('savedPlaces')[0].id);
+  assert.deepEqual(stored('savedPlaces'), []);
+});
+
+test('keeps trip history in localStorage, a trip leg per entry', async () => {
+  const { context, stored } = browser;
+  const routes = { id: 'abc', recommendedPath: route(1.2), shortestPath: route(1.0) };
+
+  context.logRouteRequest(routes, 'Zachry', 'MSC');
+  assert.equal(stored('tripHistory')[0].recommended.distance, 1.2);
+
+  await context.logRouteChoice(routes, 'shortestPath');
+  const [entry] = stored('tripHistory');
+  assert.equal(entry.chosen.route, 'shortestPath');
+  assert.ok(entry.chosenAt);
+
+  context.logTripRequest({
+    legs: [
+      { index: 0, from: 'Zachry', to: 'Evans Library', routeId: 'leg0', route: route(0.5) },
+      { index: 1, from: 'Evans Library', to: 'MSC', routeId: 'leg1', route: route(0.8) },
+    ],
+  });
+  assert.deepEqual(stored('tripHistory').map(h => `${h.start} → ${h.end}`), ['Evans Library → MSC', 'Zachry → Evans Library', 'Zachry → MSC']);
+  assert.equal(new Set(stored('tripHistory').map(h => h.id)).size, 3);
+});
+
+test('suggests saved places first, then places from recent trips', async () => {
+  const { context, element } = browser;
+  element('place-name').value = 'Lab';
+  element('place-kind').value = 'lab';
+  element('place-location').value = 'Evans Library & Annex';
+  await context.savePlace();
+  context.logRouteRequest({ id: 'abc', recommendedPath: route(1) }, 'Evans Library & Annex', 'MSC');
+
+  const options = [...element('place-suggestions').innerHTML.matchAll(/<option value="([^"]*)" label="([^"]*)">/g)]
+    .map(([, value, label]) => [value, label]);
+  assert.deepEqual(options, [['Evans Library &amp; Annex', '🔬 Lab'], ['MSC', '🕘 Recent']]);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { createSyntheticClient, createRecordingClient, createReplayClient, createMapsClient } = require('../mapsClient');
+const { decodePolyline } = require('../geo');
+
+test('synthetic geocoding is deterministic and lands on campus', async () => {
+  const client = createSyntheticClient();
+  const first = await client.geocode({ params: { address: 'Evans Library' } });
+  const again = await client.geocode({ params: { address: '  evans library ' } });
+  const other = await client.geocode({ params: { address: 'Kyle Field' } });
+  const location = first.data.results[0].geometry.location;
+
+  assert.equal(first.data.status, 'OK');
+  assert.deepEqual(again.data.results[0].geometry.location, location);
+  assert.notDeepEqual(other.data.results[0].geometry.location, location);
+  assert.ok(location.lat > 30.58 && location.lat < 30.64 && location.lng > -96.38 && location.lng < -96.31);
+
+  const coordinates = await client.geocode({ params: { address: '30.6187,-96.3365' } });
+  assert.deepEqual(coordinates.data.results[0].geometry.location, { lat: 30.6187, lng: -96.3365 });
+});
+
+test('synthetic directions follow a street grid with a mirrored alternative', async () => {
+  const client = createSyntheticClient();
+  const { data } = await client.directions({
+    params: { origin: '30.6150,-96.3420', destination: '30.6200,-96.3380', alternatives: true, mode: 'walking' },
+  });
+
+  assert.equal(data.status, 'OK');
+  assert.equal(data.routes.length, 2);
+  const [route] = data.routes;
+  const [leg] = route.legs;
+  assert.deepEqual(leg.steps.map(step => step.maneuver), [undefined, 'turn-right']);
+  assert.match(leg.steps[0].html_instructions, /north/);
+
+  // About 556 m north plus 383 m east, at walking pace
+  assert.ok(Math.abs(leg.distance.value - 939) < 5, `distance ${leg.distance.value}`);
+  assert.ok(Math.abs(leg.duration.value - leg.distance.value / 1.4) < 2);
+
+  const points = decodePolyline(route.overview_polyline.points);
+  assert.deepEqual(points[0], [30.615, -96.342]);
+  assert.deepEqual(points[points.length - 1], [30.62, -96.338]);
+});
+
+test('synthetic directions chain legs through waypoints', async () => {
+  const client = createSyntheticClient();
+  const { data } = await client.directions({
+    params: { origin: '30.6150,-96.3420', destination: '30.6200,-96.3380', waypoints: ['30.6180,-96.3440'], mode: 'bicycling' },
+  });
+
+  assert.equal(data.routes.length, 1);
+  assert.equal(data.routes[0].legs.length, 2);
+  assert.deepEqual(data.routes[0].legs[0].end_location, { lat: 30.618, lng: -96.344 });
+  assert.equal(data.routes[0].legs[0].steps[0].travel_mode, 'BICYCLING');
+});
+
+test('synthetic elevations are stable and gentle', async () => {
+  const client = createSyntheticClient();
+  const locations = ['30.6150,-96.3420', '30.6152,-96.3420'];
+  const first = await client.elevation({ params: { locations } });
+  const again = await client.elevation({ params: { locations } });
+
+  assert.deepEqual(first, again);
+  const [a, b] = first.data.results.map(result => result.elevation);
+  assert.ok(a > 80 && a < 120);
+  assert.ok(Math.abs(a - b) / 22 < 0.15, 'grade over 22 m stays under 15%');
+});
+
+test('recorded responses replay without the real client', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maps-fixtures-'));
+  try {
+    const recorder = createRecordingClient(createSyntheticClient(), dir);
+    const directions = { origin: 'Zachry', destination: 'Evans Library', mode: 'walking', key: 'secret' };
+    const recorded = await recorder.directions({ params: directions });
+    const elevation = await recorder.elevation({ params: { locations: ['30.6150,-96.3420', '30.6160,-96.3420'], key: 'secret' } });
+
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 2);
+    files.forEach(file => assert.doesNotMatch(fs.readFileSync(path.join(dir, file), 'utf8'), /secret/));
+
+    const replay = createReplayClient(dir);
+    const replayed = await replay.directions({ params: { ...directions, key: 'another-key' } });
+    assert.deepEqual(replayed, JSON.parse(JSON.stringify(recorded)));
+    // Elevations are matched point by point, whatever they were batched with
+    const single = await replay.elevation({ params: { locations: ['30.616,-96.342'] } });
+    assert.deepEqual(single.data.results, [elevation.data.results[1]]);
+
+    await assert.rejects(replay.geocode({ params: { address: 'Kyle Field' } }), /No recorded geocode response/);
+    await assert.rejects(replay.elevation({ params: { locations: ['30.6,-96.3'] } }), /No recorded elevation response/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('unknown client modes are rejected', () => {
+  assert.throws(() => createMapsClient('mock'), /Unknown Maps client mode: mock/);
+});
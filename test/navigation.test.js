@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { trackProgress } = require('../navigation');
+const { encodePolyline } = require('../geo');
+
+// A kilometer due north, five minutes of riding without congestion
+const LNG = -96.34;
+const route = {
+  polyline: encodePolyline([[30.61, LNG], [30.614, LNG], [30.619, LNG]]),
+  distance: 1,
+  travelTime: 5,
+  baseTravelTime: 5,
+};
+const start = { lat: 30.61, lng: LNG };
+
+const timestamp = new Date().toISOString();
+const report = (id, type, lat, fields) => ({ id, userId: id, type, lat, lng: LNG, timestamp, confirmations: 0, disputes: 0, ...fields });
+
+test('warns about obstacles ahead but not about crowds', () => {
+  const { hazards } = trackProgress(route, start, {
+    reports: [
+      report(1, 'slick', 30.6105),
+      report(2, 'congestion', 30.6103, { congestion: 5 }),
+      report(3, 'smoothness', 30.6113, { rating: 4 }),
+      report(4, 'smoothness', 30.6101, { rating: 1 }),
+    ],
+  });
+
+  assert.deepEqual(hazards.map(hazard => hazard.type), ['smoothness', 'slick']);
+});
+
+test('congestion ahead adds to the time left instead', () => {
+  const clear = trackProgress(route, start);
+  assert.equal(clear.remainingTime, 5);
+  assert.equal(clear.congestionMultiplier, 1);
+
+  const crowded = trackProgress(route, start, { reports: [report(1, 'congestion', 30.615, { congestion: 5 })] });
+  assert.ok(crowded.remainingTime > clear.remainingTime);
+  assert.ok(crowded.congestionMultiplier > 1);
+  assert.ok(crowded.congestionAhead.some(stretch => stretch.startDistance <= 556 && stretch.endDistance >= 556));
+
+  // Once past it, the rest of the ride is clear again
+  const beyond = trackProgress(route, { lat: 30.617, lng: LNG }, { reports: [report(1, 'congestion', 30.615, { congestion: 5 })] });
+  assert.deepEqual(beyond.congestionAhead, []);
+});
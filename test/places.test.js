@@ -0,0 +1,95 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startTestServer, RECORDED_TRIP } = require('./helpers');
+
+useTestEnv({ MAPS_CLIENT_MODE: 'replay' });
+
+let app;
+let token;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  app = await startTestServer();
+  const { body } = await app.request('POST', '/api/auth/register', { username: 'regular', password: 'correct-horse' });
+  token = body.token;
+});
+
+after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+test('saved places belong to the rider who saved them', async () => {
+  const created = await app.request('POST', '/api/places', { name: 'Dorm', kind: 'dorm', location: 'Hullabaloo Hall' }, token);
+  assert.equal(created.status, 201);
+  assert.equal(created.body.place.location, 'Hullabaloo Hall');
+
+  const duplicate = await app.request('POST', '/api/places', { name: 'dorm', location: 'Somewhere else' }, token);
+  assert.equal(duplicate.status, 409);
+  const invalid = await app.request('POST', '/api/places', { name: 'Lab', kind: 'castle', location: 'Zachry' }, token);
+  assert.match(invalid.body.error, /kind must be one of/);
+
+  const { body: other } = await app.request('POST', '/api/auth/register', { username: 'neighbor', password: 'correct-horse' });
+  const { body: theirs } = await app.request('GET', '/api/places', undefined, other.token);
+  assert.deepEqual(theirs, []);
+  const stolen = await app.request('DELETE', `/api/places/${created.body.place.id}`, undefined, other.token);
+  assert.equal(stolen.status, 404);
+
+  const updated = await app.request('PUT', `/api/places/${created.body.place.id}`, { name: 'Dorm', kind: 'home', location: 'Hullabaloo Hall' }, token);
+  assert.equal(updated.body.place.kind, 'home');
+  assert.equal((await app.request('GET', '/api/places')).status, 401);
+});
+
+test('favorites keep only routing options and reject unknown ones', async () => {
+  const favorite = { name: 'To the MSC', ...RECORDED_TRIP, options: { profile: 'skateboard', weather: 'wet', reports: [{}] } };
+  const created = await app.request('POST', '/api/favorites', favorite, token);
+
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.favorite.options, { profile: 'skateboard', weather: 'wet' });
+
+  const invalid = await app.request('POST', '/api/favorites', { ...favorite, name: 'Hover', options: { profile: 'hovercraft' } }, token);
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Unknown vehicle profile/);
+});
+
+test('logs route requests and the route the rider chose', async () => {
+  const { body: routes } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, profile: 'skateboard' }, token);
+  assert.ok(routes.historyId);
+
+  const choice = await app.request('POST', `/api/history/${routes.historyId}/choose`, { route: 'shortestPath' }, token);
+  assert.equal(choice.status, 200);
+
+  const { body: [entry] } = await app.request('GET', '/api/history', undefined, token);
+  assert.equal(entry.start, RECORDED_TRIP.start);
+  assert.deepEqual(entry.options, { profile: 'skateboard' });
+  assert.equal(entry.recommended.route, 'recommendedPath');
+  assert.equal(entry.chosen.route, 'shortestPath');
+  assert.equal(entry.chosen.distance, routes.shortestPath.distance);
+  assert.ok(entry.chosenAt);
+
+  const { body: anonymous } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  assert.equal(anonymous.historyId, undefined);
+});
+
+test('logs every leg of a trip and every passing period of a schedule', async () => {
+  await app.request('DELETE', '/api/history', undefined, token);
+
+  const { body: trip } = await app.request('POST', '/api/routes', { stops: [RECORDED_TRIP.start, RECORDED_TRIP.end], weather: 'damp' }, token);
+  assert.ok(trip.legs[0].historyId);
+
+  const classes = [
+    { name: 'Statics', building: RECORDED_TRIP.start, start: '09:10', end: '10:00' },
+    { name: 'Lunch', building: RECORDED_TRIP.end, start: '10:20', end: '11:10' },
+    { name: 'Dessert', building: RECORDED_TRIP.end, start: '11:20', end: '11:50' },
+  ];
+  const { body: plan } = await app.request('POST', '/api/schedule/plan', { classes, date: '2026-09-14' }, token);
+  assert.ok(plan.transitions[0].historyId);
+  assert.equal(plan.transitions[1].historyId, undefined, 'staying in the building is no trip');
+
+  const { body: history } = await app.request('GET', '/api/history', undefined, token);
+  assert.deepEqual(history.map(entry => entry.id), [plan.transitions[0].historyId, trip.legs[0].historyId]);
+  assert.deepEqual(history[1].options, { weather: 'damp' });
+
+  const choice = await app.request('POST', `/api/history/${plan.transitions[0].historyId}/choose`, { route: 'shortestPath' }, token);
+  assert.equal(choice.status, 200);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { validateReport, validateClientReports } = require('../reportSchema');
+const { parseReportCollection } = require('../formats');
+
+const ON_CAMPUS = { lat: 30.6187, lng: -96.3365 };
+
+test('keeps only the level a report type uses', () => {
+  const { report } = validateReport({ type: 'congestion', ...ON_CAMPUS, congestion: 4, rating: 2 });
+
+  assert.equal(report.congestion, 4);
+  assert.equal(report.rating, null);
+  assert.ok(!Number.isNaN(Date.parse(report.timestamp)));
+});
+
+test('rejects unknown types, missing levels and future timestamps', () => {
+  assert.match(validateReport({ type: 'graffiti', ...ON_CAMPUS }).error, /type must be one of/);
+  assert.match(validateReport({ type: 'smoothness', ...ON_CAMPUS, rating: 0 }).error, /rating from 1 to 5/);
+  assert.match(validateReport({ type: 'smoothness', ...ON_CAMPUS, rating: 2.5 }).error, /rating from 1 to 5/);
+  assert.match(validateReport({ type: 'blocked', lat: '30.6', lng: -96.3 }).error, /lat and lng/);
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  assert.match(validateReport({ type: 'blocked', ...ON_CAMPUS, timestamp: tomorrow }).error, /not in the future/);
+});
+
+test('geofences reports to the campus bounds', () => {
+  assert.match(validateReport({ type: 'blocked', lat: 29.76, lng: -95.37 }).error, /outside the campus/);
+  // Zero is a coordinate like any other; it's just not on campus
+  assert.match(validateReport({ type: 'blocked', lat: 0, lng: 0 }).error, /outside the campus/);
+  assert.ok(validateReport({ type: 'blocked', lat: 0, lng: 0 }, { bounds: null }).report);
+});
+
+test('client reports lose their votes and keep their ids', () => {
+  const { reports } = validateClientReports([{ id: 7, type: 'blocked', ...ON_CAMPUS, confirmations: 40 }, { id: 'x', type: 'slick', ...ON_CAMPUS }]);
+
+  assert.deepEqual(reports.map(report => report.id), [7, null]);
+  assert.equal(reports[0].confirmations, undefined);
+  assert.match(validateClientReports({}).error, /must be an array/);
+});
+
+test('GeoJSON imports go through the same schema', () => {
+  const feature = (coordinates, properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties });
+  const { errors } = parseReportCollection({
+    type: 'FeatureCollection',
+    features: [
+      feature([ON_CAMPUS.lng, ON_CAMPUS.lat], { type: 'smoothness', rating: 3 }),
+      feature([-95.37, 29.76], { type: 'blocked' }),
+      feature([ON_CAMPUS.lng, ON_CAMPUS.lat], { type: 'congestion' }),
+      feature([ON_CAMPUS.lng, ON_CAMPUS.lat], null),
+    ],
+  });
+
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^Feature 1: .*outside the campus/);
+  assert.match(errors[1], /^Feature 2: Congestion reports need a congestion level/);
+  assert.match(errors[2], /^Feature 3: Report type must be one of/);
+});
@@ -0,0 +1,40 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startTestServer } = require('./helpers');
+
+useTestEnv({ REPORT_RATE_LIMIT: '20' });
+
+let app;
+let token;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  app = await startTestServer();
+  const { body } = await app.request('POST', '/api/auth/register', { username: 'surveyor', password: 'correct-horse' });
+  token = body.token;
+});
+
+after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const survey = (count) => ({
+  type: 'FeatureCollection',
+  features: Array.from({ length: count }, (_, i) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-96.3365 + i * 0.0005, 30.6187] },
+    properties: { type: 'smoothness', rating: 1 + (i % 5) },
+  })),
+});
+
+test('imports a survey bigger than the per-report limit', async () => {
+  const { status, body } = await app.request('POST', '/api/reports/import', survey(30), token);
+
+  assert.equal(status, 201);
+  assert.equal(body.imported, 30);
+
+  // and it doesn't use up the rider's limit for reporting one at a time
+  const single = await app.request('POST', '/api/reports', { type: 'slick', lat: 30.62, lng: -96.34 }, token);
+  assert.equal(single.status, 201);
+});
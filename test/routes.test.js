@@ -0,0 +1,160 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startTestServer, RECORDED_TRIP } = require('./helpers');
+
+// POST /api/routes end to end, against the Google provider replaying the
+// responses in fixtures/maps. Those were recorded from the synthetic client;
+// to record real ones instead, run the server with MAPS_CLIENT_MODE=record,
+// MAPS_FIXTURES_DIR=test/fixtures/maps and a GOOGLE_MAPS_API_KEY, and send it
+// the RECORDED_TRIP request (see helpers.js).
+useTestEnv({ MAPS_CLIENT_MODE: 'replay' });
+
+let app;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  app = await startTestServer();
+});
+
+after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const register = async (username) => {
+  const { body } = await app.request('POST', '/api/auth/register', { username, password: 'correct-horse' });
+  return body.token;
+};
+
+test('plans and ranks routes from recorded responses', async () => {
+  const { status, body } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+
+  assert.equal(status, 200);
+  assert.ok(body.allRoutes.length >= 2);
+  assert.equal(body.profile.name, 'skateboard');
+  assert.equal(body.weather.condition, 'dry');
+  assert.equal(body.ranking[0].index, body.recommendedPath.index);
+  for (const category of ['shortestPath', 'safestPath', 'smoothestPath', 'balancedPath']) {
+    assert.ok(body[category].polyline, `${category} has a polyline`);
+  }
+
+  const route = body.recommendedPath;
+  assert.ok(route.distance > 0);
+  assert.ok(route.travelTime > 0);
+  assert.ok(route.elevation.profile.length > 1, 'elevation comes from the recorded Elevation API');
+  assert.ok(route.instructions.length > 0);
+  assert.equal(route.blocked, false);
+});
+
+test('replays the same answer every time', async () => {
+  const first = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const second = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const summary = ({ body }) => body.allRoutes.map(route => [route.index, route.distance, route.polyline]);
+
+  assert.deepEqual(summary(second), summary(first));
+});
+
+test('ranking presets and timing reuse the same recorded requests', async () => {
+  const { status, body } = await app.request('POST', '/api/routes', {
+    ...RECORDED_TRIP,
+    preset: 'hill-avoider',
+    weather: 'wet',
+    departAt: '2026-09-14T09:00:00-05:00',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.weather.condition, 'wet');
+  assert.equal(body.recommendedPath.departAt, '2026-09-14T14:00:00.000Z');
+});
+
+test('wet weather penalizes the crosswalks named in recorded steps', async () => {
+  const { body: wet } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, weather: 'wet' });
+  const { body: dry } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, weather: 'dry' });
+  const crossing = wet.allRoutes.find(route => route.weather.slickMeters > 0);
+
+  assert.ok(crossing, 'one of the recorded routes takes a crosswalk');
+  assert.ok(crossing.weather.slipRisk > 0);
+  assert.match(crossing.weather.notes.join(' '), /painted crossings/);
+  const cues = crossing.instructions.flatMap(step => step.cues);
+  assert.ok(cues.some(cue => cue.message === 'Slick when wet: painted crossing'));
+  const sameOnDry = dry.allRoutes.find(route => route.index === crossing.index);
+  assert.equal(sameOnDry.weather.slickMeters, 0);
+  assert.equal(sameOnDry.weather.slipRisk, 0);
+
+  // Turning onto a street named Cross St isn't taking a crosswalk
+  const crossStreet = wet.allRoutes.find(route => route.instructions.some(step => /Cross St/.test(step.text)));
+  assert.ok(crossStreet, 'one of the recorded routes turns onto Cross St');
+  assert.equal(crossStreet.weather.slickMeters, 0);
+});
+
+test('rejects bad route requests with a message the UI can show', async () => {
+  const cases = [
+    [{ start: RECORDED_TRIP.start }, /Start and end locations are required/],
+    [{ ...RECORDED_TRIP, profile: 'hovercraft' }, /Unknown vehicle profile/],
+    [{ ...RECORDED_TRIP, provider: 'teleporter' }, /Unknown or unavailable routing provider/],
+    [{ ...RECORDED_TRIP, departAt: 'soon' }, /departAt must be a date/],
+    [{ ...RECORDED_TRIP, reports: { type: 'blocked', lat: 30.61, lng: -96.34 } }, /reports must be an array/],
+  ];
+
+  for (const [body, message] of cases) {
+    const response = await app.request('POST', '/api/routes', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, message);
+  }
+});
+
+test('bad reports sent along with a request are skipped, not fatal', async () => {
+  const reports = [
+    { type: 'smoothness', lat: 30.61, lng: -96.34, rating: 3 },
+    { type: 'blocked', lat: 0, lng: 0 },
+  ];
+  const { status, body } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, reports });
+
+  assert.equal(status, 200);
+  assert.ok(body.recommendedPath);
+  assert.equal(body.skippedReports.length, 1);
+  assert.match(body.skippedReports[0], /^Report 2: .*outside the campus/);
+});
+
+test('reports sent along with a request cannot close a route or outlive the server copy', async () => {
+  const token = await register('resolver');
+  const { body: before } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const { lat, lng } = before.shortestPath.instructions[0].end;
+  const onShortest = body => body.allRoutes.find(route => route.index === before.shortestPath.index);
+
+  // Made up in the request body, twice over: one anonymous rider's word
+  const made = [{ type: 'blocked', lat, lng }, { type: 'blocked', lat: lat + 0.0001, lng }];
+  const { body: withMade } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, reports: made });
+  assert.equal(onShortest(withMade).blocked, false);
+
+  // A browser that missed the resolution still has its copy of the report
+  const filed = await app.request('POST', '/api/reports', { type: 'blocked', lat, lng }, token);
+  await app.request('POST', `/api/reports/${filed.body.report.id}/resolve`, undefined, token);
+  const { body: withStale } = await app.request('POST', '/api/routes', { ...RECORDED_TRIP, reports: [filed.body.report] });
+  assert.deepEqual(onShortest(withStale).hazards, []);
+});
+
+test('a confirmed blockage closes the route it sits on', async () => {
+  const token = await register('blocker');
+  const other = await register('witness');
+  const { body: before } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const [lat, lng] = [before.shortestPath.instructions[0].end.lat, before.shortestPath.instructions[0].end.lng];
+
+  const filed = await app.request('POST', '/api/reports', { type: 'blocked', lat, lng }, token);
+  assert.equal(filed.status, 201);
+  await app.request('POST', `/api/reports/${filed.body.report.id}/confirm`, undefined, other);
+
+  const { body: after } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const shortest = after.allRoutes.find(route => route.index === before.shortestPath.index);
+  assert.equal(shortest.blocked, true);
+  assert.notEqual(after.recommendedPath.index, before.shortestPath.index);
+});
+
+test('exports a computed route as GPX', async () => {
+  const { body } = await app.request('POST', '/api/routes', RECORDED_TRIP);
+  const { status, body: gpx } = await app.request('GET', `/api/routes/${body.id}/export?format=gpx`);
+
+  assert.equal(status, 200);
+  assert.match(gpx, /^<\?xml/);
+  assert.match(gpx, /<trkpt lat="/);
+});
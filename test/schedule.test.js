@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+// A server a time zone away from the calendars below, so every time has to be converted
+useTestEnv({ TZ: 'America/New_York' });
+
+const { classesFromIcs } = require('../schedule');
+
+const DAY = '2026-09-14'; // a Monday, on daylight saving time in both zones
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(({ summary, location, start, end, extra = [] }) => [
+    'BEGIN:VEVENT',
+    `SUMMARY:${summary}`,
+    `LOCATION:${location}`,
+    start,
+    end,
+    ...extra,
+    'END:VEVENT',
+  ]),
+  'END:VCALENDAR',
+].join('\r\n');
+
+const times = ({ classes }) => classes.map(cls => [cls.name, cls.start, cls.end]);
+
+test('converts calendar times in a TZID zone to the server time zone', () => {
+  const ics = calendar(
+    {
+      summary: 'Statics',
+      location: 'Zachry Engineering Center',
+      start: 'DTSTART;TZID=America/Chicago:20260824T091000',
+      end: 'DTEND;TZID=America/Chicago:20260824T100000',
+      extra: ['RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR'],
+    },
+    {
+      summary: 'History',
+      location: 'Memorial Student Center',
+      start: 'DTSTART:20260914T152000Z',
+      end: 'DTEND:20260914T161000Z',
+    },
+    {
+      summary: 'Lab',
+      location: 'Evans Library',
+      start: 'DTSTART:20260914T140000',
+      end: 'DTEND:20260914T150000',
+    }
+  );
+
+  assert.deepEqual(times(classesFromIcs(ics, DAY)), [
+    ['Statics', '10:10', '11:00'],
+    ['History', '11:20', '12:10'],
+    ['Lab', '14:00', '15:00'],
+  ]);
+});
+
+test('skips exceptions given in the TZID zone', () => {
+  const ics = calendar(
+    {
+      summary: 'Statics',
+      location: 'Zachry Engineering Center',
+      start: 'DTSTART;TZID=America/Chicago:20260824T091000',
+      end: 'DTEND;TZID=America/Chicago:20260824T100000',
+      extra: ['RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE;TZID=America/Chicago:20260914T091000'],
+    },
+    {
+      summary: 'History',
+      location: 'Memorial Student Center',
+      start: 'DTSTART;TZID=America/Chicago:20260914T102000',
+      end: 'DTEND;TZID=America/Chicago:20260914T111000',
+    },
+    {
+      summary: 'Lab',
+      location: 'Evans Library',
+      start: 'DTSTART;TZID=America/Chicago:20260914T130000',
+      end: 'DTEND;TZID=America/Chicago:20260914T140000',
+    }
+  );
+
+  assert.deepEqual(times(classesFromIcs(ics, DAY)), [
+    ['History', '11:20', '12:10'],
+    ['Lab', '14:00', '15:00'],
+  ]);
+});
+
+test('rejects time zones it cannot convert instead of guessing', () => {
+  const ics = calendar(
+    {
+      summary: 'Statics',
+      location: 'Zachry Engineering Center',
+      start: 'DTSTART;TZID=Central Standard Time:20260914T091000',
+      end: 'DTEND;TZID=Central Standard Time:20260914T100000',
+    },
+    {
+      summary: 'History',
+      location: 'Memorial Student Center',
+      start: 'DTSTART:20260914T102000',
+      end: 'DTEND:20260914T111000',
+    }
+  );
+
+  assert.match(classesFromIcs(ics, DAY).error, /Unknown time zone in the calendar: Central Standard Time/);
+});
@@ -0,0 +1,57 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startTestServer } = require('./helpers');
+
+// Multi-stop trips through POST /api/routes, on the synthetic Maps client so
+// any stops get an answer
+useTestEnv({ MAPS_CLIENT_MODE: 'synthetic' });
+
+const routing = require('../routing');
+const { createSyntheticClient } = require('../mapsClient');
+
+let app;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  app = await startTestServer();
+});
+
+after(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const STOPS = ['Hullabaloo Hall', 'Evans Library', 'Kyle Field', 'Zachry Engineering Center'];
+
+test('orders the stops in between when asked', async () => {
+  const { status, body } = await app.request('POST', '/api/routes', { stops: STOPS, optimizeOrder: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.optimized, true);
+  assert.equal(body.legs.length, 3);
+  assert.deepEqual([body.stops[0], body.stops[3]], [STOPS[0], STOPS[3]]);
+});
+
+test('keeps the given order when a leg estimate fails', async () => {
+  // Fails only the quick estimate that ordering the stops asks for
+  routing.registerProvider('flaky', () => {
+    const google = routing.createGoogleProvider(createSyntheticClient());
+    return {
+      ...google,
+      name: 'flaky',
+      directions: async (request) => {
+        if (!request.alternatives && request.origin === 'Kyle Field' && request.destination === 'Evans Library') {
+          throw new Error('Kyle Field is not recorded');
+        }
+        return google.directions(request);
+      },
+    };
+  });
+
+  const { status, body } = await app.request('POST', '/api/routes', { stops: STOPS, optimizeOrder: true, provider: 'flaky' });
+
+  assert.equal(status, 200);
+  assert.equal(body.optimized, false);
+  assert.deepEqual(body.stops, STOPS);
+});
@@ -0,0 +1,107 @@
+// Multi-stop trips: dorm -> library -> lab -> rec center. A trip is planned as
+// one route per leg between consecutive stops (see planTrip in server.js);
+// this module checks the stops, picks the best order for the ones in the
+// middle and adds the legs up.
+
+// 6 stops in the middle is 720 orders to try, still instant, but the costs to
+// try them with take 42 leg estimates from the routing provider (see orderingLegs)
+const MAX_STOPS = 8;
+
+/**
+ * Check the stops sent by a client: 2 to MAX_STOPS place names or "lat,lng"
+ * strings, in riding order. Returns { stops } trimmed, or { error }.
+ */
+const validateStops = (stops) => {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    return { error: 'A trip needs at least two stops' };
+  }
+  if (stops.length > MAX_STOPS) {
+    return { error: `A trip can have at most ${MAX_STOPS} stops` };
+  }
+  if (!stops.every(stop => typeof stop === 'string' && stop.trim())) {
+    return { error: 'Every stop must be a place name or "lat,lng"' };
+  }
+  return { stops: stops.map(stop => stop.trim()) };
+};
+
+// Every ordering of the given items
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+};
+
+/**
+ * The [from, to] stop index pairs some order of `count` stops could ride:
+ * never into the first stop, out of the last or straight from first to last.
+ * Only these need a cost for optimizeStopOrder; there are none for 3 stops
+ * or fewer, which have only the one order.
+ */
+const orderingLegs = (count) => {
+  if (count <= 3) return [];
+  const legs = [];
+  for (let i = 0; i < count - 1; i++) {
+    for (let j = 1; j < count; j++) {
+      if (i !== j && !(i === 0 && j === count - 1)) legs.push([i, j]);
+    }
+  }
+  return legs;
+};
+
+/**
+ * The order to visit the stops in: the first and last stay put and the ones
+ * in between are tried in every order. cost[i][j] is the cost (e.g. minutes)
+ * of riding from stop i to stop j, Infinity when there's no way. Returns
+ * stop indices; when no order is finite, the stops keep the order they came in.
+ */
+const optimizeStopOrder = (cost) => {
+  const count = cost.length;
+  const given = [...Array(count).keys()];
+  if (count <= 3) return given;
+
+  const totalCost = order => order.slice(1).reduce((sum, stop, i) => sum + cost[order[i]][stop], 0);
+  let best = given;
+  let bestCost = totalCost(given);
+  permutations(given.slice(1, -1)).forEach((middle) => {
+    const order = [0, ...middle, count - 1];
+    const orderCost = totalCost(order);
+    if (orderCost < bestCost) {
+      best = order;
+      bestCost = orderCost;
+    }
+  });
+  return best;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Totals over the legs of a trip, each leg's route being a cleaned route (see
+ * POST /api/routes): distance (km), travelTime and congestionDelay (minutes),
+ * calories, when the first leg departs and the last one arrives, and the
+ * indices of the legs that are blocked or congested.
+ */
+const summarizeTrip = (legs) => {
+  const routes = legs.map(leg => leg.route);
+  const sum = field => routes.reduce((total, route) => total + (route[field] || 0), 0);
+
+  return {
+    distance: Math.round(sum('distance') * 1000) / 1000,
+    travelTime: round1(sum('travelTime')),
+    calories: sum('calories'),
+    congestionDelay: round1(routes.reduce((total, route) =>
+      total + route.baseTravelTime * (route.congestionMultiplier - 1), 0)),
+    departAt: routes[0].departAt,
+    arriveAt: routes[routes.length - 1].arriveAt,
+    congestedLegs: legs.filter(leg => leg.route.hasCongestion).map(leg => leg.index),
+    blockedLegs: legs.filter(leg => leg.route.blocked).map(leg => leg.index),
+  };
+};
+
+module.exports = {
+  MAX_STOPS,
+  validateStops,
+  orderingLegs,
+  optimizeStopOrder,
+  summarizeTrip,
+};
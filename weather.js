@@ -0,0 +1,279 @@
+const fs = require('fs');
+const { weatherProvider, weatherFile } = require('./env');
+
+// Weather and what it does to a ride. Wet brick and painted crosswalks are
+// treacherous on urethane wheels, so in the wet every profile slows down,
+// lets less speed run on descents, and routes pay for slick surfaces, spots
+// riders reported as slick, and steep downhills.
+//
+// The conditions for a request are picked by the rider or come from a weather
+// provider: { name, current: async () -> { condition, observedAt, description } }.
+// The built-in 'file' provider reads them from a local JSON file (WEATHER_FILE)
+// such as { "condition": "wet", "observedAt": "2026-09-14T08:00:00-05:00" };
+// a real feed can be added with registerProvider.
+
+/**
+ * speedFactor: share of every profile speed that's left
+ * downhillGainFactor: share of the usual speed gained going downhill (riders brake in the wet)
+ * slickSurfacePenalty: route cost per 100 m of slick surface (SLICK_SURFACES, painted crossings)
+ * slickReportPenalty: route cost per slick report, times its confidence
+ * steepDownhillGrade / steepDownhillPenalty: descents steeper than this grade (%)
+ * cost this much per % beyond it (per 100 m of them in a route's slip risk)
+ * slipWeightFactor: how much more the slip ranking factor counts (see ranking.js)
+ */
+const WEATHER_CONDITIONS = {
+  dry: {
+    label: 'Dry',
+    icon: '☀️',
+    speedFactor: 1,
+    downhillGainFactor: 1,
+    slickSurfacePenalty: 0,
+    slickReportPenalty: 0.5,
+    steepDownhillGrade: 6,
+    steepDownhillPenalty: 0.2,
+    slipWeightFactor: 1,
+  },
+  damp: {
+    label: 'Damp',
+    icon: '🌦️',
+    speedFactor: 0.9,
+    downhillGainFactor: 0.5,
+    slickSurfacePenalty: 0.5,
+    slickReportPenalty: 1,
+    steepDownhillGrade: 5,
+    steepDownhillPenalty: 0.6,
+    slipWeightFactor: 2,
+  },
+  wet: {
+    label: 'Wet',
+    icon: '🌧️',
+    speedFactor: 0.75,
+    downhillGainFactor: 0,
+    slickSurfacePenalty: 1.5,
+    slickReportPenalty: 2,
+    steepDownhillGrade: 4,
+    steepDownhillPenalty: 1.5,
+    slipWeightFactor: 4,
+  },
+};
+
+const DEFAULT_CONDITION = 'dry';
+
+// OSM surfaces that turn slick when wet
+const SLICK_SURFACES = ['brick', 'bricks', 'paving_stones', 'sett', 'concrete:plates', 'metal', 'wood'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const getConditions = (name = DEFAULT_CONDITION) => {
+  if (!WEATHER_CONDITIONS[name]) {
+    throw new Error(`Unknown weather condition: ${name}`);
+  }
+  return { name, ...WEATHER_CONDITIONS[name] };
+};
+
+const listConditions = () => Object.keys(WEATHER_CONDITIONS);
+
+// ============================================================================
+// RIDING
+// ============================================================================
+
+/**
+ * A vehicle profile (see profiles.js) as it rides in these conditions: slower
+ * all round and gaining less on descents.
+ */
+const adjustProfile = (profile, conditions) => {
+  if (!conditions || (conditions.speedFactor === 1 && conditions.downhillGainFactor === 1)) {
+    return profile;
+  }
+  return {
+    ...profile,
+    cruiseSpeedKmh: profile.cruiseSpeedKmh * conditions.speedFactor,
+    minSpeedKmh: profile.minSpeedKmh * conditions.speedFactor,
+    maxSpeedKmh: profile.maxSpeedKmh * conditions.speedFactor,
+    downhillGain: profile.downhillGain * conditions.downhillGainFactor,
+  };
+};
+
+// Ranking weights (see ranking.js) with slip risk counting for more when it's slippery
+const adjustWeights = (weights, conditions) => (conditions && weights.slip
+  ? { ...weights, slip: weights.slip * conditions.slipWeightFactor }
+  : weights);
+
+// Google steps don't say what they're paved with, but their instructions name
+// crosswalks ("Take the crosswalk", or starting with "Cross Lamar St") and now
+// and then brick. A street called Cross St elsewhere in a step is no crossing.
+const CROSSING_TEXT = /\bcross(?:walk|ing)s?\b|^cross\b/i;
+const SLICK_SURFACE_TEXT = /\b(?:bricks?|pavers?|paving stones|cobblestones?)\b/i;
+
+/**
+ * What makes a Directions API step slick when wet, for telling the rider
+ * (e.g. "painted crossing", "paving stones"), or null if nothing does.
+ * Campus graph steps carry the OSM surface and whether they're a (painted)
+ * crossing; for steps without either, the instruction text is all there is.
+ */
+const slickSurfaceOf = (step) => {
+  if (step.surface !== undefined || step.crossing !== undefined) {
+    if (step.crossing) return 'painted crossing';
+    return SLICK_SURFACES.includes(step.surface) ? step.surface.replace(/_/g, ' ') : null;
+  }
+  const text = String(step.html_instructions || '').replace(/<[^>]*>/g, ' ').trim();
+  if (CROSSING_TEXT.test(text)) return 'painted crossing';
+  const surface = text.match(SLICK_SURFACE_TEXT);
+  return surface ? surface[0].toLowerCase() : null;
+};
+
+const isSlickStep = (step) => slickSurfaceOf(step) !== null;
+
+/**
+ * What the weather does to one route, for scoring and for telling the rider:
+ * { condition, label, icon, speedFactor, slickMeters, slickReports,
+ *   steepDownhillMeters, slipRisk, notes }.
+ * slickMeters only counts when the conditions make those surfaces slick.
+ * slipRisk adds up the penalties of the conditions (lower is better).
+ * hazards: clustered reports along the route; elevation: its elevation profile.
+ */
+const assessWeather = (route, { conditions, hazards = [], elevation } = {}) => {
+  const weather = conditions || getConditions();
+  const steps = route.legs.flatMap(leg => leg.steps || []);
+
+  const slickMeters = weather.slickSurfacePenalty > 0
+    ? steps.filter(isSlickStep).reduce((sum, step) => sum + step.distance.value, 0)
+    : 0;
+  const slick = hazards.filter(report => report.type === 'slick');
+  const slickConfidence = slick.reduce((sum, report) => sum + report.confidence, 0);
+  const steep = ((elevation && elevation.steepDownhills) || [])
+    .map(stretch => ({ length: stretch.length, excess: -stretch.maxGrade - weather.steepDownhillGrade }))
+    .filter(stretch => stretch.excess > 0);
+  const steepDownhillMeters = steep.reduce((sum, stretch) => sum + stretch.length, 0);
+
+  const slipRisk = weather.slickSurfacePenalty * slickMeters / 100 +
+    weather.slickReportPenalty * slickConfidence +
+    steep.reduce((sum, stretch) => sum + weather.steepDownhillPenalty * stretch.excess * stretch.length / 100, 0);
+
+  const notes = [];
+  if (weather.speedFactor < 1) {
+    notes.push(`${Math.round((1 - weather.speedFactor) * 100)}% slower on ${weather.label.toLowerCase()} pavement`);
+  }
+  if (slickMeters > 0) {
+    notes.push(`${Math.round(slickMeters)} m of brick, pavers or painted crossings`);
+  }
+  if (slick.length > 0) {
+    notes.push(`${slick.length} slick spot${slick.length === 1 ? '' : 's'} reported`);
+  }
+  if (steepDownhillMeters > 0 && weather.name !== DEFAULT_CONDITION) {
+    notes.push(`${Math.round(steepDownhillMeters)} m of steep downhill, risky in the ${weather.label.toLowerCase()}`);
+  }
+
+  return {
+    condition: weather.name,
+    label: weather.label,
+    icon: weather.icon,
+    speedFactor: weather.speedFactor,
+    slickMeters: Math.round(slickMeters),
+    slickReports: slick.length,
+    steepDownhillMeters: Math.round(steepDownhillMeters),
+    slipRisk: round1(slipRisk),
+    notes,
+  };
+};
+
+// The conditions as shown to clients
+const describeConditions = ({ name, label, icon, speedFactor, source, observedAt, description }) => ({
+  condition: name,
+  label,
+  icon,
+  speedFactor,
+  source,
+  observedAt,
+  description,
+});
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+// Conditions from a JSON file; no file means dry
+const createFileProvider = (file = weatherFile) => ({
+  name: 'file',
+
+  current: async () => {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { condition: DEFAULT_CONDITION, observedAt: null, description: `No weather file at ${file}` };
+      }
+      throw new Error(`Could not read weather from ${file}: ${error.message}`);
+    }
+    if (!WEATHER_CONDITIONS[data.condition]) {
+      throw new Error(`Unknown weather condition in ${file}: ${data.condition}`);
+    }
+    return { condition: data.condition, observedAt: data.observedAt || null, description: data.description || null };
+  },
+});
+
+const providerFactories = {
+  file: createFileProvider,
+};
+
+const providers = new Map();
+
+/**
+ * Look up a weather provider by name (defaults to WEATHER_PROVIDER, then
+ * 'file'). Providers are created once and reused.
+ */
+const getProvider = (name = weatherProvider) => {
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+  if (!providers.has(name)) {
+    providers.set(name, providerFactories[name]());
+  }
+  return providers.get(name);
+};
+
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providers.delete(name);
+};
+
+const listProviders = () => Object.keys(providerFactories);
+
+/**
+ * The conditions to plan for: the named ones when the rider picked some,
+ * otherwise whatever the provider says, falling back to dry if it fails.
+ * Returns the conditions with where they came from: source is 'manual', the
+ * provider's name, or 'default'.
+ */
+const resolveConditions = async (name, provider) => {
+  if (name) {
+    return { ...getConditions(name), source: 'manual', observedAt: null, description: null };
+  }
+  try {
+    const source = provider || getProvider();
+    const { condition, observedAt, description } = await source.current();
+    return { ...getConditions(condition), source: source.name, observedAt, description };
+  } catch (error) {
+    console.error('Weather provider failed, assuming dry:', error.message);
+    return { ...getConditions(), source: 'default', observedAt: null, description: null };
+  }
+};
+
+module.exports = {
+  WEATHER_CONDITIONS,
+  DEFAULT_CONDITION,
+  getConditions,
+  listConditions,
+  describeConditions,
+  adjustProfile,
+  adjustWeights,
+  slickSurfaceOf,
+  isSlickStep,
+  assessWeather,
+  createFileProvider,
+  getProvider,
+  registerProvider,
+  listProviders,
+  resolveConditions,
+};
@@ -0,0 +1,246 @@
+const { EventEmitter } = require('events');
+const db = require('./db');
+const { calculateDistance, pointInPolygon } = require('./geo');
+const { getProfile } = require('./profiles');
+
+// Campus zones: polygons where riding is restricted. A zone is
+//   { id, name, kind, geometry, speedLimitKmh, createdBy, createdAt, updatedAt }
+// where geometry is a GeoJSON Polygon and kind is one of
+//   'dismount' - riders walk their boards through (Academic Plaza, breezeways)
+//   'no-entry' - routes must not pass through at all
+//   'slow'     - riding is fine, but no faster than speedLimitKmh
+//
+// Zones are few and change rarely, so the live set is kept in memory for route
+// scoring; every write below keeps it in sync with the table. Changes are
+// announced on `events`: 'create' (zone), 'update' (zone) and 'delete' ({ id }).
+
+const ZONE_KINDS = ['dismount', 'no-entry', 'slow'];
+const DEFAULT_SLOW_ZONE_SPEED_KMH = 8;
+const MAX_VERTICES = 1000;
+const SAMPLE_M = 5; // routes are tested against zones every few meters
+
+const events = new EventEmitter();
+let live = [];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  typeof position[0] === 'number' && typeof position[1] === 'number' &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+const checkRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    return 'every ring must be a list of [lng, lat] positions';
+  }
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+    return 'every ring needs at least 4 positions and must end where it starts';
+  }
+  return null;
+};
+
+/**
+ * Check a zone sent by a client: { name, kind, geometry, speedLimitKmh }.
+ * Returns { zone } with just those fields, or { error }.
+ */
+const validateZone = (input) => {
+  const { name, kind, geometry, speedLimitKmh } = input || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Zone name is required' };
+  }
+  if (!ZONE_KINDS.includes(kind)) {
+    return { error: `Zone kind must be one of ${ZONE_KINDS.join(', ')}` };
+  }
+  if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return { error: 'Zone geometry must be a GeoJSON Polygon' };
+  }
+  const ringError = geometry.coordinates.map(checkRing).find(Boolean);
+  if (ringError) {
+    return { error: `Zone geometry: ${ringError}` };
+  }
+  if (geometry.coordinates.reduce((sum, ring) => sum + ring.length, 0) > MAX_VERTICES) {
+    return { error: `Zone geometry can have at most ${MAX_VERTICES} positions` };
+  }
+  if (speedLimitKmh !== undefined && speedLimitKmh !== null &&
+      (typeof speedLimitKmh !== 'number' || !(speedLimitKmh > 0))) {
+    return { error: 'Speed limit must be a positive number of km/h' };
+  }
+
+  return {
+    zone: {
+      name: name.trim(),
+      kind,
+      geometry: { type: 'Polygon', coordinates: geometry.coordinates.map(ring => ring.map(([lng, lat]) => [lng, lat])) },
+      speedLimitKmh: kind === 'slow' ? speedLimitKmh ?? DEFAULT_SLOW_ZONE_SPEED_KMH : null,
+    },
+  };
+};
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+const toZone = (row) => ({
+  id: row.id,
+  name: row.name,
+  kind: row.kind,
+  geometry: JSON.parse(row.geometry),
+  speedLimitKmh: row.speed_limit_kmh,
+  createdBy: row.author || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const SELECT_ZONES = `
+  SELECT zones.*, users.username AS author
+  FROM zones
+  LEFT JOIN users ON users.id = zones.user_id`;
+
+const listZones = async () => {
+  const rows = await db.all(`${SELECT_ZONES} ORDER BY zones.id`);
+  return rows.map(toZone);
+};
+
+const getZone = async (id) => {
+  const row = await db.get(`${SELECT_ZONES} WHERE zones.id = ?`, [id]);
+  return row ? toZone(row) : null;
+};
+
+// Fill the in-memory set from the database; call once after db.init()
+const loadZones = async () => {
+  live = await listZones();
+  return live.length;
+};
+
+// The zones routes are scored against
+const liveZones = () => live;
+
+// zone: already validated (see validateZone)
+const createZone = async ({ name, kind, geometry, speedLimitKmh }, userId = null) => {
+  const { lastID } = await db.run(
+    'INSERT INTO zones (name, kind, geometry, speed_limit_kmh, user_id) VALUES (?, ?, ?, ?, ?)',
+    [name, kind, JSON.stringify(geometry), speedLimitKmh, userId]
+  );
+  const zone = await getZone(lastID);
+  live = [...live, zone];
+  events.emit('create', zone);
+  return zone;
+};
+
+// Replaces everything but the author. Returns the updated zone, or null if there is none.
+const updateZone = async (id, { name, kind, geometry, speedLimitKmh }) => {
+  const { changes } = await db.run(
+    `UPDATE zones SET name = ?, kind = ?, geometry = ?, speed_limit_kmh = ?,
+       updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     WHERE id = ?`,
+    [name, kind, JSON.stringify(geometry), speedLimitKmh, id]
+  );
+  if (changes === 0) return null;
+
+  const zone = await getZone(id);
+  live = live.map(existing => (existing.id === id ? zone : existing));
+  events.emit('update', zone);
+  return zone;
+};
+
+const deleteZone = async (id) => {
+  const { changes } = await db.run('DELETE FROM zones WHERE id = ?', [id]);
+  live = live.filter(zone => zone.id !== id);
+  if (changes > 0) events.emit('delete', { id });
+  return changes > 0;
+};
+
+// ============================================================================
+// ROUTE GEOMETRY
+// ============================================================================
+
+// GeoJSON rings are [lng, lat]; the geometry helpers want [lat, lng]
+const ringsOf = (zone) => zone.geometry.coordinates.map(ring => ring.map(([lng, lat]) => [lat, lng]));
+
+const boundsOf = (rings) => {
+  const lats = rings[0].map(([lat]) => lat);
+  const lngs = rings[0].map(([, lng]) => lng);
+  return { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLng: Math.min(...lngs), maxLng: Math.max(...lngs) };
+};
+
+const zoneContains = (zone, lat, lng) => pointInPolygon(lat, lng, ringsOf(zone));
+
+/**
+ * How much of a [lat, lng] polyline runs through each zone. The line is
+ * sampled every SAMPLE_M meters. Returns [{ zone, meters }] for the zones
+ * it touches, in the order given.
+ */
+const measureZones = (points, zones) => {
+  const shapes = (zones || []).map((zone) => {
+    const rings = ringsOf(zone);
+    return { zone, rings, bounds: boundsOf(rings), meters: 0 };
+  });
+  if (shapes.length === 0) return [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const [lat1, lng1] = points[i];
+    const [lat2, lng2] = points[i + 1];
+    const length = calculateDistance(lat1, lng1, lat2, lng2) * 1000;
+    const pieces = Math.max(1, Math.ceil(length / SAMPLE_M));
+
+    for (let k = 0; k < pieces; k++) {
+      const t = (k + 0.5) / pieces;
+      const lat = lat1 + (lat2 - lat1) * t;
+      const lng = lng1 + (lng2 - lng1) * t;
+      shapes.forEach((shape) => {
+        const { minLat, maxLat, minLng, maxLng } = shape.bounds;
+        if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return;
+        if (pointInPolygon(lat, lng, shape.rings)) shape.meters += length / pieces;
+      });
+    }
+  }
+
+  return shapes
+    .filter(shape => shape.meters > 0)
+    .map(({ zone, meters }) => ({ zone, meters: Math.round(meters) }));
+};
+
+// Top speed through a zone, or null if the zone doesn't limit it. Dismount zones go at a walk.
+const zoneSpeedKmh = (zone) => {
+  if (zone.kind === 'dismount') return getProfile('walking').cruiseSpeedKmh;
+  if (zone.kind === 'slow') return zone.speedLimitKmh || DEFAULT_SLOW_ZONE_SPEED_KMH;
+  return null;
+};
+
+/**
+ * Extra minutes a route spends in dismount and slow zones. Stretches are timed
+ * at the zone's speed instead of the route's average pace, and only ever
+ * count when that's slower (a walker loses nothing in a dismount zone).
+ * stretches: from measureZones. baseTravelTime: minutes for distanceKm without zones.
+ */
+const calculateZoneDelay = (stretches, baseTravelTime, distanceKm) => {
+  if (distanceKm <= 0) return 0;
+  const minutesPerKm = baseTravelTime / distanceKm;
+
+  return stretches.reduce((delay, { zone, meters }) => {
+    const speed = zoneSpeedKmh(zone);
+    if (!speed) return delay;
+    const km = meters / 1000;
+    return delay + Math.max(0, km / speed * 60 - km * minutesPerKm);
+  }, 0);
+};
+
+module.exports = {
+  ZONE_KINDS,
+  events,
+  validateZone,
+  listZones,
+  getZone,
+  loadZones,
+  liveZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  zoneContains,
+  measureZones,
+  zoneSpeedKmh,
+  calculateZoneDelay,
+};